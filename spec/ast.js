@@ -0,0 +1,74 @@
+/* Builders for the AST nodes used in the specs. */
+
+export const name = function (identifier) {
+  return ['Name', {identifier}, []];
+};
+
+export const builtinType = function (name) {
+  return ['BuiltinType', {name}, []];
+};
+
+export const intType = builtinType('int');
+
+export const intLit = function (value) {
+  return ['IntegerLiteral', {value: String(value)}, []];
+};
+
+export const declRef = function (identifier) {
+  return ['DeclRefExpr', {}, [name(identifier)]];
+};
+
+export const binOp = function (opcode, lhs, rhs) {
+  return ['BinaryOperator', {opcode}, [lhs, rhs]];
+};
+
+export const assign = function (lhs, rhs) {
+  return binOp('Assign', lhs, rhs);
+};
+
+export const compoundAssign = function (opcode, lhs, rhs) {
+  return ['CompoundAssignOperator', {opcode}, [lhs, rhs]];
+};
+
+export const call = function (callee, ...args) {
+  return ['CallExpr', {}, [declRef(callee), ...args]];
+};
+
+export const varDecl = function (name, type, init) {
+  return ['VarDecl', {name}, init ? [type, init] : [type]];
+};
+
+export const declStmt = function (...decls) {
+  return ['DeclStmt', {}, decls];
+};
+
+export const block = function (...stmts) {
+  return ['CompoundStmt', {}, stmts];
+};
+
+export const ifStmt = function (cond, ifTrue, ifFalse) {
+  return ['IfStmt', {}, ifFalse ? [cond, ifTrue, ifFalse] : [cond, ifTrue]];
+};
+
+export const whileStmt = function (cond, body) {
+  return ['WhileStmt', {}, [cond, body]];
+};
+
+export const returnStmt = function (expr) {
+  return ['ReturnStmt', {}, expr ? [expr] : []];
+};
+
+export const functionDecl = function (identifier, resultType, params, body) {
+  const paramDecls = params.map(function ([name, type]) {
+    return ['ParmVarDecl', {name}, [type]];
+  });
+  const children = [name(identifier), ['FunctionProtoType', {}, [resultType, ...paramDecls]]];
+  if (body) {
+    children.push(body);
+  }
+  return ['FunctionDecl', {define: !!body}, children];
+};
+
+export const mainDecl = function (...stmts) {
+  return functionDecl('main', intType, [], block(...stmts));
+};
@@ -0,0 +1,68 @@
+import test from 'tape';
+import {start, run, runToNode, diffCores, diffPages, writeValue, builtinTypes, pointerType,
+  IntegralValue, PointerValue} from '../src';
+import {allocate} from '../src/memory';
+import {
+  intType, intLit, declRef, assign, varDecl, declStmt, block, returnStmt, mainDecl} from './ast';
+
+const int = builtinTypes['int'];
+const store = function (memory, address, number) {
+  return writeValue(memory, new PointerValue(pointerType(int), address), new IntegralValue(int, number));
+};
+
+test("diffPages returns the changed byte ranges", function (assert) {
+  const memory0 = allocate(0x10000);
+  let memory1 = store(memory0, 0x20, 0x0102);
+  memory1 = store(memory1, 0x3e, -1);
+  memory1 = store(memory1, 0x8000, 7);
+  assert.deepEqual(diffPages(memory0, memory1), [
+    {address: 0x22, size: 2},
+    {address: 0x3e, size: 4},
+    {address: 0x8003, size: 1}
+  ]);
+  assert.deepEqual(diffPages(memory1, memory1), []);
+  assert.end();
+});
+
+const innerAssign = assign(declRef('y'), intLit(4));
+const program = [
+  varDecl('g', intType),
+  mainDecl(
+    declStmt(varDecl('x', intType, intLit(1))),
+    assign(declRef('g'), intLit(2)),
+    block(
+      declStmt(varDecl('y', intType, intLit(3))),
+      innerAssign),
+    returnStmt(declRef('x')))
+];
+
+test("diffCores groups changes by variable and reports scope changes", function (assert) {
+  const core0 = start({decls: program});
+  const core1 = runToNode(core0, innerAssign).core;
+  const diff = diffCores(core0, core1);
+  assert.deepEqual(diff.variables.map(v => v.name).sort(), ['g', 'x', 'y']);
+  const g = diff.variables.find(v => v.name === 'g');
+  assert.equal(g.scope, null, "g is a global");
+  assert.equal(g.oldValue.toInteger(), 0);
+  assert.equal(g.newValue.toInteger(), 2);
+  assert.deepEqual(g.ranges, [{address: g.ref.address + 3, size: 1}]);
+  assert.deepEqual(diff.bytes, []);
+  assert.deepEqual(diff.pushedScopes.filter(s => s.kind === 'variable').map(s => s.name), ['x', 'y']);
+  assert.deepEqual(diff.poppedScopes, []);
+  assert.equal(diff.control.after.node, innerAssign);
+  const back = diffCores(core1, core0);
+  assert.deepEqual(back.poppedScopes, diff.pushedScopes, "reverse diff pops the scopes");
+  assert.deepEqual(back.pushedScopes, []);
+  assert.end();
+});
+
+test("diffCores of a core with itself is empty", function (assert) {
+  const core = run(start({decls: program})).core;
+  const diff = diffCores(core, core);
+  assert.deepEqual(diff.variables, []);
+  assert.deepEqual(diff.bytes, []);
+  assert.deepEqual(diff.pushedScopes, []);
+  assert.deepEqual(diff.poppedScopes, []);
+  assert.equal(diff.control, undefined);
+  assert.end();
+});
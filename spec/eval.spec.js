@@ -1,11 +1,17 @@
 import test from 'tape';
-import {start, run} from '..';
+import {
+  start, run, runToNode, evalExpr, readValue, writeValue, readFields, effects, IntegralValue,
+  getMemoryMap, findSegment, targets, nullPointer, nullPointerOf}
+  from '../src';
+import {
+  builtinType, intType, intLit, declRef, binOp, assign, call, varDecl, declStmt,
+  returnStmt, block, whileStmt, functionDecl, mainDecl} from './ast';
 
 test("calling main", function (assert) {
   const state = run(start({decls: [
     ['FunctionDecl', {define: true, main: true}, [
       ['Name', {identifier: 'main'}, []],
-      ['FunctionNoPrototype', {}, [
+      ['FunctionNoProtoType', {}, [
         ['BuiltinType', {name: 'int'}, []]
       ]],
       ['CompoundStmt', {}, [
@@ -16,7 +22,753 @@ test("calling main", function (assert) {
     ]]
   ]}));
   const {result} = state;
-  assert.equal(result[0], 'integer', "return value is integer");
-  assert.equal(result[1], 0, "return value is 0");
+  assert.ok(result instanceof IntegralValue, "return value is integer");
+  assert.equal(result.toInteger(), 0, "return value is 0");
+  assert.end();
+});
+
+test("main returns 0 when it ends without a return statement", function (assert) {
+  const {result} = run(start({decls: [
+    mainDecl(declStmt(varDecl('x', intType, intLit(1))))
+  ]}));
+  assert.ok(result instanceof IntegralValue, "return value is integer");
+  assert.equal(result.toInteger(), 0, "return value is 0");
+  assert.end();
+});
+
+test("calling a builtin", function (assert) {
+  const calls = [];
+  const builtins = {
+    twice: function (core, arg) {
+      calls.push(arg.toInteger());
+      return new IntegralValue(arg.type, arg.toInteger() * 2);
+    }
+  };
+  const {result} = run(start({builtins, decls: [
+    ['FunctionDecl', {}, [
+      ['Name', {identifier: 'twice'}, []],
+      ['FunctionProtoType', {}, [
+        ['BuiltinType', {name: 'int'}, []],
+        ['ParmVarDecl', {name: 'n'}, [['BuiltinType', {name: 'int'}, []]]]
+      ]]
+    ]],
+    ['FunctionDecl', {define: true}, [
+      ['Name', {identifier: 'main'}, []],
+      ['FunctionNoProtoType', {}, [
+        ['BuiltinType', {name: 'int'}, []]
+      ]],
+      ['CompoundStmt', {}, [
+        ['ReturnStmt', {}, [
+          ['CallExpr', {}, [
+            ['DeclRefExpr', {}, [['Name', {identifier: 'twice'}, []]]],
+            ['IntegerLiteral', {value: '21'}, []]
+          ]]
+        ]]
+      ]]
+    ]]
+  ]}));
+  assert.deepEqual(calls, [21], "builtin is called once");
+  assert.equal(result.toInteger(), 42, "builtin result is returned");
+  assert.end();
+});
+
+test("overriding an effect handler", function (assert) {
+  const entered = [];
+  const handlers = {
+    enter: function (core, node) {
+      entered.push(node[0]);
+      effects.doEnter(core, node);
+    }
+  };
+  run(start({decls: [
+    ['FunctionDecl', {define: true}, [
+      ['Name', {identifier: 'main'}, []],
+      ['FunctionNoProtoType', {}, [
+        ['BuiltinType', {name: 'int'}, []]
+      ]],
+      ['CompoundStmt', {}, []]
+    ]]
+  ]}), {handlers});
+  assert.deepEqual(entered, ['CompoundStmt'], "custom handler is used");
+  assert.end();
+});
+
+const recursiveProgram = [
+  functionDecl('f', intType, [['n', intType]], block(
+    returnStmt(call('f', binOp('Add', declRef('n'), intLit(1)))))),
+  mainDecl(returnStmt(call('f', intLit(0))))
+];
+
+const runError = function (core) {
+  try {
+    run(core);
+  } catch (ex) {
+    return ex;
+  }
+};
+
+test("unbalanced scope effects are stack underflow errors", function (assert) {
+  const core = start({decls: [mainDecl(returnStmt(intLit(0)))]});
+  const underflow = function (apply) {
+    try {
+      apply({...core});
+    } catch (ex) {
+      return ex;
+    }
+  };
+  const leave = underflow(core => effects.doLeave(core, block()));
+  assert.equal(leave.kind, 'stack underflow');
+  assert.equal(leave.details, 'stack underflow: leaving a block that was not entered');
+  const ret = underflow(core => effects.doReturn(core, null));
+  assert.equal(ret.kind, 'stack underflow');
+  assert.equal(ret.details, 'stack underflow: return outside of a function');
+  assert.end();
+});
+
+test("runaway recursion overflows the stack", function (assert) {
+  const error = runError(start({decls: recursiveProgram, memorySize: 0x1000}));
+  assert.equal(error.name, 'error');
+  assert.equal(error.kind, 'stack overflow');
+  assert.equal(error.function, 'f', "reports the function being entered");
+  // main is at depth 1, and the stack holds (0x1000 - 0x100) / 4 frames of f.
+  assert.equal(error.depth, 2 + (0x1000 - 0x100) / 4, "reports the call depth");
+  assert.end();
+});
+
+test("maximum call depth", function (assert) {
+  const error = runError(start({decls: recursiveProgram, maxCallDepth: 10}));
+  assert.equal(error.kind, 'stack overflow');
+  assert.equal(error.function, 'f');
+  assert.equal(error.depth, 11);
+  assert.end();
+});
+
+const arrayType = function (elemType, size) {
+  return ['ConstantArrayType', {size: String(size)}, [elemType]];
+};
+
+const pointerType = function (pointeeType) {
+  return ['PointerType', {}, [pointeeType]];
+};
+
+const subscript = function (array, index) {
+  return ['ArraySubscriptExpr', {}, [array, index]];
+};
+
+const overflowProgram = [
+  mainDecl(
+    declStmt(varDecl('a', arrayType(intType, 3))),
+    declStmt(varDecl('b', intType, intLit(7))),
+    declStmt(varDecl('p', pointerType(intType), declRef('a'))),
+    assign(subscript(declRef('p'), intLit(2)), intLit(1)),
+    assign(subscript(declRef('p'), intLit(3)), intLit(1)),
+    returnStmt(declRef('b')))
+];
+
+test("checked mode reports out of bounds stores", function (assert) {
+  assert.equal(run(start({decls: overflowProgram})).result.toInteger(), 7,
+    "unchecked store goes through");
+  const error = runError(start({decls: overflowProgram, checked: true}));
+  assert.equal(error.kind, 'out of bounds');
+  assert.equal(error.name, 'a', "names the variable");
+  assert.equal(error.index, 3, "reports the index");
+  assert.deepEqual(error.range, [0, 2], "reports the valid range");
+  assert.end();
+});
+
+test("checked mode reports out of bounds loads from string literals", function (assert) {
+  const charType = builtinType('char');
+  const error = runError(start({checked: true, decls: [
+    mainDecl(
+      declStmt(varDecl('s', pointerType(charType),
+        ['ImplicitCastExpr', {}, [['StringLiteral', {value: 'ab'}, []], pointerType(charType)]])),
+      returnStmt(subscript(declRef('s'), intLit(3))))
+  ]}));
+  assert.equal(error.kind, 'out of bounds');
+  assert.equal(error.name, '"ab"');
+  assert.deepEqual(error.range, [0, 2]);
+  assert.end();
+});
+
+const xReturn = returnStmt(declRef('x'));
+const yReturn = returnStmt(declRef('y'));
+const staleProgram = [
+  functionDecl('f', intType, [], block(
+    declStmt(varDecl('x', intType, intLit(42))),
+    xReturn)),
+  functionDecl('g', intType, [], block(
+    declStmt(varDecl('y', intType)),
+    yReturn)),
+  mainDecl(call('f'), returnStmt(call('g')))
+];
+
+test("uninitialized reads are not reported by default", function (assert) {
+  const {core, result} = run(start({decls: staleProgram}));
+  assert.equal(result.toInteger(), 42, "stale value is read");
+  assert.equal(core.warnings.size, 0);
+  assert.equal(core.shadow, undefined, "no shadow memory is kept");
+  assert.end();
+});
+
+test("uninitialized reads can be reported as warnings or errors", function (assert) {
+  const {core} = run(start({decls: staleProgram, uninitialized: 'warn'}));
+  assert.equal(core.warnings.size, 1);
+  assert.equal(core.warnings.get(0).kind, 'uninitialized read');
+  assert.equal(core.warnings.get(0).name, 'y');
+  const error = runError(start({decls: staleProgram, uninitialized: 'error'}));
+  assert.equal(error.kind, 'uninitialized read');
+  assert.equal(error.name, 'y');
+  assert.end();
+});
+
+test("values read from uninitialized memory are flagged", function (assert) {
+  const {core} = runToNode(start({decls: staleProgram, uninitialized: 'warn'}), yReturn);
+  const ref = evalExpr(core, ['UnaryOperator', {opcode: 'AddrOf'}, [declRef('y')]]);
+  assert.ok(readValue(core, ref).uninitialized);
+  const stop = runToNode(start({decls: staleProgram, uninitialized: 'warn'}), xReturn);
+  const xRef = evalExpr(stop.core, ['UnaryOperator', {opcode: 'AddrOf'}, [declRef('x')]]);
+  assert.notOk(readValue(stop.core, xRef).uninitialized);
+  assert.end();
+});
+
+const deref = function (expr) {
+  return ['UnaryOperator', {opcode: 'Deref'}, [expr]];
+};
+
+const addrOf = function (expr) {
+  return ['UnaryOperator', {opcode: 'AddrOf'}, [expr]];
+};
+
+test("checked mode reports dereferences of pointers to exited functions", function (assert) {
+  const decls = [
+    functionDecl('f', pointerType(intType), [], block(
+      declStmt(varDecl('x', intType, intLit(3))),
+      returnStmt(addrOf(declRef('x'))))),
+    mainDecl(
+      declStmt(varDecl('p', pointerType(intType), call('f'))),
+      returnStmt(deref(declRef('p'))))
+  ];
+  assert.doesNotThrow(() => run(start({decls})), "unchecked read goes through");
+  const error = runError(start({decls, checked: true}));
+  assert.equal(error.kind, 'dangling pointer');
+  assert.equal(error.name, 'x', "names the variable");
+  assert.equal(error.function, 'f', "names the function");
+  assert.end();
+});
+
+test("checked mode reports dereferences of pointers to exited blocks", function (assert) {
+  const p = declRef('p');
+  const error = runError(start({checked: true, decls: [
+    mainDecl(
+      declStmt(varDecl('p', pointerType(intType))),
+      block(
+        declStmt(varDecl('z', intType, intLit(1))),
+        assign(p, addrOf(declRef('z'))),
+        assign(deref(p), intLit(2))),
+      assign(deref(p), intLit(3)))
+  ]}));
+  assert.equal(error.kind, 'dangling pointer');
+  assert.equal(error.name, 'z');
+  assert.equal(error.function, 'main');
+  assert.end();
+});
+
+const sizeOf = function (type) {
+  return ['UnaryExprOrTypeTraitExpr', {name: 'sizeof'}, [type]];
+};
+
+test("the target determines the sizes of long and pointers", function (assert) {
+  const decls = [
+    mainDecl(returnStmt(binOp('Add',
+      binOp('Mul', sizeOf(builtinType('long')), intLit(10)),
+      sizeOf(pointerType(builtinType('void'))))))
+  ];
+  assert.equal(run(start({decls})).result.toInteger(), 44, "ilp32be by default");
+  assert.equal(run(start({decls, target: 'lp64le'})).result.toInteger(), 88, "lp64le");
+  assert.throws(() => start({decls, target: 'pdp11'}), /unknown target/);
+  assert.end();
+});
+
+test("values built by the evaluator belong to the core's target", function (assert) {
+  const lp64 = targets['lp64le'];
+  const {core, result} = run(start({target: 'lp64le', decls: [
+    mainDecl(
+      declStmt(varDecl('x', intType, intLit(1))),
+      ['UnaryOperator', {opcode: 'PostInc'}, [declRef('x')]])
+  ]}));
+  assert.equal(result.toInteger(), 0, "main without a return gives 0");
+  assert.equal(result.type, lp64.builtinTypes['int'], "in the target's int");
+  const pointer = nullPointerOf(core);
+  assert.equal(pointer.toInteger(), 0);
+  assert.equal(pointer.type.size, 8, "null pointer has the target's pointer size");
+  assert.equal(pointer.type.pointee, lp64.builtinTypes['void']);
+  assert.equal(nullPointer.type.size, 4, "nullPointer belongs to the default target");
+  assert.end();
+});
+
+test("the target determines the byte order", function (assert) {
+  const bytes = function (target) {
+    const core = start({target, decls: [
+      varDecl('x', intType, intLit(0x01020304)),
+      mainDecl(returnStmt(intLit(0)))
+    ]});
+    const {address} = core.globalMap['x'];
+    return Array.from(core.memory.slice(address, address + 4));
+  };
+  assert.deepEqual(bytes('ilp32be'), [1, 2, 3, 4]);
+  assert.deepEqual(bytes('ilp32le'), [4, 3, 2, 1]);
+  assert.end();
+});
+
+const stringPointer = function (string) {
+  const charPointer = pointerType(builtinType('char'));
+  return ['ImplicitCastExpr', {}, [['StringLiteral', {value: string}, []], charPointer]];
+};
+
+test("writes to string literals are errors", function (assert) {
+  const decls = [
+    mainDecl(
+      declStmt(varDecl('s', pointerType(builtinType('char')), stringPointer('abc'))),
+      assign(subscript(declRef('s'), intLit(0)), ['CharacterLiteral', {value: '120'}, []]),
+      returnStmt(intLit(0)))
+  ];
+  const error = runError(start({decls}));
+  assert.equal(error.kind, 'read-only write');
+  assert.equal(error.segment, 'rodata');
+  const checkedError = runError(start({decls, checked: true}));
+  assert.equal(checkedError.kind, 'read-only write');
+  assert.equal(checkedError.name, '"abc"', "checked mode names the literal");
+  assert.end();
+});
+
+test("accesses to the null page are errors", function (assert) {
+  const nullPointer = ['CStyleCastExpr', {}, [pointerType(intType), intLit(4)]];
+  const loadError = runError(start({decls: [mainDecl(returnStmt(deref(nullPointer)))]}));
+  assert.equal(loadError.kind, 'null dereference');
+  assert.equal(loadError.address, 4);
+  const storeError = runError(start({decls: [
+    mainDecl(assign(deref(nullPointer), intLit(1)), returnStmt(intLit(0)))]}));
+  assert.equal(storeError.kind, 'null dereference');
+  assert.end();
+});
+
+test("the memory map labels addresses by segment", function (assert) {
+  const mainReturn = returnStmt(declRef('x'));
+  const core = runToNode(start({decls: [
+    varDecl('g', pointerType(builtinType('char')), stringPointer('hi')),
+    mainDecl(declStmt(varDecl('x', intType, intLit(1))), mainReturn)
+  ]}), mainReturn).core;
+  const map = getMemoryMap(core);
+  assert.deepEqual(map.map(segment => segment.name), ['null', 'rodata', 'data', 'heap', 'stack']);
+  assert.equal(findSegment(core, 0).name, 'null');
+  assert.equal(findSegment(core, core.globalMap['g'].address).name, 'data');
+  const literal = readValue(core, core.globalMap['g']);
+  assert.equal(findSegment(core, literal.address).name, 'rodata');
+  assert.equal(findSegment(core, core.scope.ref.address).name, 'stack');
+  assert.end();
+});
+
+test("unsigned long long arithmetic gives the same results as gcc", function (assert) {
+  const ullType = builtinType('unsigned long long');
+  const f = declRef('f'), i = declRef('i');
+  const mainReturn = returnStmt(intLit(0));
+  const core = runToNode(start({decls: [
+    mainDecl(
+      declStmt(varDecl('f', ullType, ['ImplicitCastExpr', {}, [intLit(1), ullType]])),
+      declStmt(varDecl('i', intType, intLit(1))),
+      whileStmt(binOp('LE', i, intLit(25)), block(
+        assign(f, binOp('Mul', f, i)),
+        assign(i, binOp('Add', i, intLit(1))))),
+      mainReturn)
+  ]}), mainReturn).core;
+  assert.equal(evalExpr(core, f).toString(), '7034535277573963776', "25! modulo 2^64");
+  assert.end();
+});
+
+test("the type of integer literals depends on their value and suffix", function (assert) {
+  const core = start({decls: [mainDecl(returnStmt(intLit(0)))]});
+  const literalType = value => evalExpr(core, intLit(value)).type.repr;
+  assert.equal(literalType('1'), 'int');
+  assert.equal(literalType('3000000000'), 'long long');
+  assert.equal(literalType('0xFFFFFFFF'), 'unsigned int');
+  assert.equal(literalType('1ull'), 'unsigned long long');
+  assert.equal(literalType('1L'), 'long');
+  assert.equal(evalExpr(core, intLit('0x8000000000000000')).toString(), '9223372036854775808');
+  assert.equal(evalExpr(core, intLit('017')).toInteger(), 15, "octal");
+  assert.end();
+});
+
+test("undefined behaviour checks report signed overflow", function (assert) {
+  const x = declRef('x');
+  const decls = [
+    mainDecl(
+      declStmt(varDecl('x', intType, intLit(0x7fffffff))),
+      assign(x, binOp('Add', x, intLit(1))),
+      returnStmt(x))
+  ];
+  assert.equal(run(start({decls})).result.toInteger(), -0x80000000, "wraps when unchecked");
+  const error = runError(start({decls, ubChecks: true}));
+  assert.equal(error.kind, 'signed overflow');
+  assert.equal(error.type, 'int');
+  assert.end();
+});
+
+test("compound assignments convert back to the type of their operand", function (assert) {
+  const charType = builtinType('char');
+  const c = declRef('c');
+  const mainReturn = returnStmt(intLit(0));
+  const core = runToNode(start({decls: [
+    mainDecl(
+      declStmt(varDecl('c', charType, ['CharacterLiteral', {value: '100'}, []])),
+      declStmt(varDecl('d', charType, ['CharacterLiteral', {value: '127'}, []])),
+      ['CompoundAssignOperator', {opcode: 'AddAssign'}, [c, intLit(200)]],
+      ['UnaryOperator', {opcode: 'PostInc'}, [declRef('d')]],
+      mainReturn)
+  ]}), mainReturn).core;
+  assert.equal(evalExpr(core, c).toInteger(), 44, "(char)300");
+  assert.equal(evalExpr(core, declRef('d')).toInteger(), -128, "(char)128");
+  const size = evalExpr(core, sizeOf(binOp('Add', c, intLit(1))));
+  assert.equal(size.toInteger(), 4, "sizeof(c + 1) is sizeof(int)");
+  assert.equal(size.type.repr, 'unsigned int', "sizeof has type size_t");
+  assert.equal(evalExpr(core, sizeOf(c)).toInteger(), 1);
+  assert.end();
+});
+
+test("logical operators give the int 0 or 1", function (assert) {
+  const p = declRef('p');
+  const mainReturn = returnStmt(intLit(0));
+  const core = runToNode(start({decls: [
+    mainDecl(
+      declStmt(varDecl('x', intType, intLit(7))),
+      declStmt(varDecl('p', pointerType(intType), addrOf(declRef('x')))),
+      mainReturn)
+  ]}), mainReturn).core;
+  const float = function (value) {
+    return ['FloatingLiteral', {value}, []];
+  };
+  const logical = function (opcode, lhs, rhs) {
+    const result = evalExpr(core, binOp(opcode, lhs, rhs));
+    assert.equal(result.type.repr, 'int', `${opcode} has type int`);
+    return result.toInteger();
+  };
+  assert.equal(logical('LAnd', intLit(2), intLit(3)), 1, "2 && 3");
+  assert.equal(logical('LOr', float('0.5'), intLit(0)), 1, "0.5 || 0");
+  assert.equal(logical('LOr', intLit(0), float('0.0')), 0, "0 || 0.0");
+  assert.equal(logical('LAnd', p, p), 1, "p && p");
+  assert.equal(logical('LOr', p, intLit(0)), 1, "p || 0");
+  assert.equal(logical('LAnd', intLit(0), p), 0, "0 && p");
+  assert.end();
+});
+
+const member = function (expr, identifier) {
+  return ['MemberExpr', {isArrow: false}, [['Name', {identifier}, []], expr]];
+};
+
+const toChar = function (expr) {
+  return ['ImplicitCastExpr', {}, [expr, builtinType('char')]];
+};
+
+test("union fields alias the same bytes", function (assert) {
+  const unionType = ['RecordType', {name: 'u'}, []];
+  const x = declRef('x'), y = declRef('y'), z = declRef('z');
+  const mainReturn = returnStmt(intLit(0));
+  const decls = [
+    ['RecordDecl', {name: 'u', tagUsed: 'union'}, [
+      ['FieldDecl', {name: 'i'}, [intType]],
+      ['FieldDecl', {name: 'f'}, [builtinType('float')]],
+      ['FieldDecl', {name: 'c'}, [arrayType(builtinType('char'), 5)]]
+    ]],
+    mainDecl(
+      declStmt(varDecl('x', unionType)),
+      declStmt(varDecl('y', unionType, ['InitListExpr', {}, [intLit(2)]])),
+      declStmt(varDecl('z', unionType)),
+      assign(member(x, 'i'), intLit(0x7f800001)),
+      assign(z, x),
+      assign(subscript(member(y, 'c'), intLit(1)), toChar(intLit(1))),
+      mainReturn)
+  ];
+  const core = runToNode(start({decls, uninitialized: 'warn'}), mainReturn).core;
+  assert.equal(evalExpr(core, sizeOf(unionType)).toInteger(), 8);
+  const xRef = evalExpr(core, addrOf(x));
+  const fields = readFields(core, xRef);
+  assert.deepEqual(fields.map(field => field.name), ['i', 'f', 'c']);
+  assert.ok(fields.every(field => field.ref.address === xRef.address), "fields are at offset 0");
+  assert.ok(isNaN(fields[1].value.number), "i reinterpreted as a float");
+  assert.deepEqual(fields[2].value.elements.slice(0, 4).map(c => c.toInteger()), [0x7f, -0x80, 0, 1]);
+  assert.ok(fields[2].value.uninitialized, "c extends past the active field");
+  assert.equal(evalExpr(core, member(z, 'i')).toInteger(), 0x7f800001, "copies keep the bytes");
+  assert.equal(evalExpr(core, member(y, 'i')).toInteger(), 0x00010000 + 2,
+    "the initializer sets the first field");
+  assert.end();
+});
+
+test("reading an inactive union field is an uninitialized read", function (assert) {
+  const unionType = ['RecordType', {name: 'u'}, []];
+  const x = declRef('x');
+  const decls = [
+    ['RecordDecl', {name: 'u', tagUsed: 'union'}, [
+      ['FieldDecl', {name: 'c'}, [builtinType('char')]],
+      ['FieldDecl', {name: 'i'}, [intType]]
+    ]],
+    mainDecl(
+      declStmt(varDecl('x', unionType)),
+      declStmt(varDecl('y', unionType)),
+      assign(member(x, 'c'), toChar(intLit(1))),
+      assign(declRef('y'), x),
+      returnStmt(member(x, 'i')))
+  ];
+  const {core} = run(start({decls, uninitialized: 'warn'}));
+  assert.equal(core.warnings.size, 1, "copying the union is fine");
+  assert.equal(core.warnings.get(0).name, 'x');
+  assert.end();
+});
+
+const enumDecl = function (name, ...constants) {
+  return ['EnumDecl', {name}, constants.map(function ([name, init]) {
+    return ['EnumConstantDecl', {name}, init ? [init] : []];
+  })];
+};
+
+test("enumeration constants have implicit and explicit values", function (assert) {
+  const colorType = ['EnumType', {name: 'color'}, []];
+  const toColor = function (expr) {
+    return ['ImplicitCastExpr', {}, [expr, colorType]];
+  };
+  const mainReturn = returnStmt(intLit(0));
+  const decls = [
+    enumDecl('color', ['RED'], ['GREEN'], ['BLUE', intLit(5)], ['CYAN'],
+      ['GRAY', binOp('Mul', declRef('GREEN'), intLit(10))]),
+    varDecl('c', colorType, toColor(declRef('CYAN'))),
+    mainDecl(
+      declStmt(
+        enumDecl('sign', ['MINUS', ['UnaryOperator', {opcode: 'Minus'}, [intLit(1)]]], ['ZERO']),
+        varDecl('s', ['EnumType', {name: 'sign'}, []], declRef('MINUS'))),
+      mainReturn)
+  ];
+  const core = runToNode(start({decls}), mainReturn).core;
+  const values = ['RED', 'GREEN', 'BLUE', 'CYAN', 'GRAY'].map(name => evalExpr(core, declRef(name)));
+  assert.deepEqual(values.map(value => value.toInteger()), [0, 1, 5, 6, 10]);
+  assert.equal(values[0].type.repr, 'int', "constants have type int");
+  const c = evalExpr(core, declRef('c'));
+  assert.equal(c.toString(), 'CYAN');
+  assert.equal(c.type.repr, 'unsigned int', "no negative values");
+  assert.equal(evalExpr(core, binOp('Add', declRef('c'), intLit(0))).toString(), '6',
+    "arithmetic gives the compatible type");
+  const s = evalExpr(core, declRef('s'));
+  assert.equal(s.toString(), 'MINUS');
+  assert.equal(s.type.repr, 'int');
+  assert.equal(evalExpr(core, declRef('ZERO')).toInteger(), 0, "local constants");
+  assert.end();
+});
+
+test("local enumerations go out of scope with their block", function (assert) {
+  const mainReturn = returnStmt(intLit(0));
+  const decls = [
+    mainDecl(block(declStmt(enumDecl('e', ['A', intLit(3)]))), mainReturn)
+  ];
+  const core = runToNode(start({decls}), mainReturn).core;
+  assert.equal(evalExpr(core, declRef('A')), undefined, "A is not declared after the block");
+  const inside = [
+    mainDecl(declStmt(enumDecl('e', ['A', intLit(3)])), returnStmt(declRef('A')))
+  ];
+  assert.equal(run(start({decls: inside})).result.toInteger(), 3);
+  assert.end();
+});
+
+test("bit-fields are extracted and stored without touching their neighbours", function (assert) {
+  const flagsType = ['RecordType', {name: 'flags'}, []];
+  const unsignedType = builtinType('unsigned int');
+  const x = declRef('x');
+  const mainReturn = returnStmt(intLit(0));
+  const cast = function (expr, type) {
+    return ['ImplicitCastExpr', {}, [expr, type]];
+  };
+  const decls = [
+    ['RecordDecl', {name: 'flags'}, [
+      ['FieldDecl', {name: 'lo'}, [unsignedType, intLit(3)]],
+      ['FieldDecl', {name: 's'}, [intType, intLit(4)]],
+      ['FieldDecl', {}, [unsignedType, intLit(1)]],
+      ['FieldDecl', {name: 'hi'}, [unsignedType, intLit(8)]]
+    ]],
+    mainDecl(
+      declStmt(varDecl('x', flagsType)),
+      assign(member(x, 'lo'), cast(intLit(13), unsignedType)),
+      assign(member(x, 's'), intLit(7)),
+      ['CompoundAssignOperator', {opcode: 'AddAssign'}, [member(x, 's'), intLit(1)]],
+      assign(member(x, 'hi'), cast(intLit(0xab), unsignedType)),
+      mainReturn)
+  ];
+  const bytesOf = function (core) {
+    const ref = evalExpr(core, addrOf(x));
+    return Array.from(core.memory.slice(ref.address, ref.address + 4));
+  };
+  for (let target of ['ilp32be', 'ilp32le']) {
+    const core = runToNode(start({decls, target, uninitialized: 'warn'}), mainReturn).core;
+    assert.equal(evalExpr(core, sizeOf(flagsType)).toInteger(), 4);
+    assert.equal(evalExpr(core, member(x, 'lo')).toInteger(), 5, "13 is truncated to 3 bits");
+    assert.equal(evalExpr(core, member(x, 's')).toInteger(), -8, "signed extraction");
+    assert.equal(evalExpr(core, member(x, 'hi')).toInteger(), 0xab);
+    assert.equal(core.warnings.size, 0, "s is read after it is stored");
+    // lo = 101, s = 1000 and the unnamed bit fill the first byte, from its
+    // most significant bit on big-endian targets and from its least
+    // significant bit on little-endian targets; hi fills the second byte.
+    const expected = target === 'ilp32be' ? [0xb0, 0xab, 0, 0] : [0x45, 0xab, 0, 0];
+    assert.deepEqual(bytesOf(core), expected, target);
+    const record = evalExpr(core, x);
+    assert.equal(record.props.s.toInteger(), -8, "records are read field by field");
+    const ref = evalExpr(core, addrOf(x));
+    const memory = writeValue(core.memory.fill(ref.address, 4, 0xff), ref, record,
+      core.target.littleEndian);
+    assert.deepEqual(bytesOf({...core, memory}), expected, "and written back");
+  }
+  assert.end();
+});
+
+test("typedef names resolve to their type and are kept for display", function (assert) {
+  const nodeType = ['TypedefType', {name: 'node_t'}, []];
+  const arrow = function (expr, identifier) {
+    return ['MemberExpr', {isArrow: true}, [['Name', {identifier}, []], expr]];
+  };
+  const a = declRef('a'), b = declRef('b'), p = declRef('p');
+  const nReturn = returnStmt(declRef('n'));
+  const decls = [
+    ['TypedefDecl', {name: '__int128_t'}, [builtinType('__int128')]],
+    ['TypedefDecl', {name: 'node_t'}, [['ElaboratedType', {}, [['RecordType', {name: 'node'}, []]]]]],
+    ['RecordDecl', {name: 'node'}, [
+      ['FieldDecl', {name: 'value'}, [intType]],
+      ['FieldDecl', {name: 'next'}, [pointerType(nodeType)]]
+    ]],
+    mainDecl(
+      declStmt(['TypedefDecl', {name: 'count_t'}, [builtinType('unsigned int')]]),
+      declStmt(varDecl('a', nodeType), varDecl('b', nodeType)),
+      declStmt(varDecl('p', pointerType(nodeType), addrOf(a))),
+      assign(member(b, 'value'), intLit(2)),
+      assign(member(a, 'next'), addrOf(b)),
+      declStmt(
+        varDecl('n', ['TypedefType', {name: 'count_t'}, []], arrow(arrow(p, 'next'), 'value'))),
+      nReturn)
+  ];
+  assert.equal(run(start({decls})).result.toInteger(), 2, "p->next->value");
+  const stop = runToNode(start({decls}), nReturn).core;
+  const n = evalExpr(stop, declRef('n'));
+  assert.equal(n.type.typedefName, 'count_t');
+  assert.equal(n.type.repr, 'unsigned int');
+  const pointer = evalExpr(stop, p);
+  assert.equal(pointer.type.pointee.typedefName, 'node_t');
+  assert.equal(pointer.type.pointee.size, 8, "the typedef has the size of the record");
+  assert.equal(evalExpr(stop, sizeOf(nodeType)).toInteger(), 8);
+  assert.end();
+});
+
+test("function pointers are first-class values", function (assert) {
+  const binaryType = ['FunctionProtoType', {}, [
+    intType, ['ParmVarDecl', {name: 'a'}, [intType]], ['ParmVarDecl', {name: 'b'}, [intType]]]];
+  const opType = pointerType(binaryType);
+  const toOp = function (expr) {
+    return ['ImplicitCastExpr', {}, [expr, opType]];
+  };
+  const callOp = function (callee, a, b) {
+    return ['CallExpr', {}, [callee, intLit(a), intLit(b)]];
+  };
+  const s = declRef('s'), ops = declRef('ops'), z = declRef('z');
+  const mainReturn = returnStmt(intLit(0));
+  const decls = [
+    functionDecl('add', intType, [['a', intType], ['b', intType]], block(
+      returnStmt(binOp('Add', declRef('a'), declRef('b'))))),
+    functionDecl('sub', intType, [['a', intType], ['b', intType]], block(
+      returnStmt(binOp('Sub', declRef('a'), declRef('b'))))),
+    ['RecordDecl', {name: 'op'}, [['FieldDecl', {name: 'f'}, [opType]]]],
+    varDecl('ops', arrayType(opType, 2), ['InitListExpr', {}, [declRef('add'), declRef('sub')]]),
+    mainDecl(
+      declStmt(varDecl('s', ['RecordType', {name: 'op'}, []])),
+      declStmt(varDecl('z', opType, toOp(intLit(0)))),
+      assign(member(s, 'f'), subscript(ops, intLit(1))),
+      mainReturn)
+  ];
+  const core = runToNode(start({decls}), mainReturn).core;
+  // Evaluates expr in the core stopped in main, calls included.
+  const exprCore = function (expr) {
+    return {...core, control: {node: expr, step: 0, cont: null}};
+  };
+  const result = function (expr) {
+    return run(exprCore(expr)).core.result.toInteger();
+  };
+  assert.equal(result(callOp(subscript(ops, intLit(0)), 2, 3)), 5, "call through an array element");
+  assert.equal(result(callOp(member(s, 'f'), 5, 3)), 2, "call through a struct field");
+  assert.equal(result(callOp(['ParenExpr', {}, [deref(member(s, 'f'))]], 7, 3)), 4, "(*s.f)(7, 3)");
+  assert.equal(result(binOp('EQ', member(s, 'f'), declRef('sub'))), 1);
+  assert.equal(result(binOp('NE', subscript(ops, intLit(0)), member(s, 'f'))), 1);
+  assert.equal(result(binOp('EQ', z, toOp(intLit(0)))), 1, "null comparison");
+  assert.equal(result(['UnaryOperator', {opcode: 'LNot'}, [z]]), 1);
+  assert.equal(result(['UnaryOperator', {opcode: 'LNot'}, [declRef('add')]]), 0);
+  assert.equal(evalExpr(core, z).toString(), '0x0');
+  const nullCall = runError(exprCore(callOp(z, 1, 2)));
+  assert.equal(nullCall.kind, 'invalid function pointer');
+  assert.equal(nullCall.details, 'call through a null function pointer');
+  const badCall = runError(exprCore(callOp(toOp(intLit(99)), 1, 2)));
+  assert.equal(badCall.details, 'call through an invalid function pointer 0x63');
+  assert.equal(badCall.address, 0x63);
+  const addPtr = evalExpr(core, declRef('add')).codePtr;
+  assert.equal(result(callOp(toOp(intLit(addPtr)), 4, 5)), 9, "integer cast to a function pointer");
+  assert.end();
+});
+
+test("builtins can be stored in function pointers", function (assert) {
+  const twiceType = ['FunctionProtoType', {}, [intType, ['ParmVarDecl', {name: 'n'}, [intType]]]];
+  const voidPtr = pointerType(builtinType('void'));
+  const mallocType = ['FunctionProtoType', {}, [
+    voidPtr, ['ParmVarDecl', {name: 'size'}, [builtinType('unsigned int')]]]];
+  const builtins = {
+    twice: function (core, arg) {
+      return new IntegralValue(arg.type, arg.toInteger() * 2);
+    }
+  };
+  const fp = declRef('fp'), alloc = declRef('alloc'), p = declRef('p');
+  const decls = [
+    functionDecl('twice', intType, [['n', intType]]),
+    functionDecl('malloc', voidPtr, [['size', builtinType('unsigned int')]]),
+    functionDecl('free', builtinType('void'), [['p', voidPtr]]),
+    mainDecl(
+      declStmt(varDecl('fp', pointerType(twiceType), declRef('twice'))),
+      declStmt(varDecl('alloc', pointerType(mallocType))),
+      assign(alloc, declRef('malloc')),
+      declStmt(varDecl('p', pointerType(intType),
+        ['ImplicitCastExpr', {}, [['CallExpr', {}, [alloc, intLit(4)]], pointerType(intType)]])),
+      assign(deref(p), ['CallExpr', {}, [fp, intLit(21)]]),
+      declStmt(varDecl('n', intType, deref(p))),
+      call('free', p),
+      returnStmt(declRef('n')))
+  ];
+  const {core, result} = run(start({decls, builtins, checked: true, uninitialized: 'error'}));
+  assert.equal(result.toInteger(), 42, "malloc and twice are called through pointers");
+  assert.equal(core.warnings.size, 0);
+  assert.end();
+});
+
+test("functions called through a code pointer run in their own scope", function (assert) {
+  const n = declRef('n');
+  const castTo = function (type, expr) {
+    return ['CStyleCastExpr', {}, [pointerType(['FunctionProtoType', {}, [
+      type, ['ParmVarDecl', {name: 'n'}, [intType]]]]), expr]];
+  };
+  // ((int (*)(int))1)(x) calls inc, ((int *(*)(int))2)(x) calls leak.
+  const decls = function (...stmts) {
+    return [
+      functionDecl('inc', intType, [['n', intType]], block(
+        ['GotoStmt', {label: 'done'}, []],
+        assign(n, intLit(0)),
+        ['LabelStmt', {name: 'done'}, [returnStmt(binOp('Add', n, intLit(1)))]])),
+      functionDecl('leak', pointerType(intType), [['n', intType]], block(
+        returnStmt(addrOf(n)))),
+      mainDecl(declStmt(varDecl('x', intType, intLit(7))), ...stmts)
+    ];
+  };
+  const incCall = ['CallExpr', {}, [castTo(intType, intLit(1)), declRef('x')]];
+  const leakCall = ['CallExpr', {}, [castTo(pointerType(intType), intLit(2)), declRef('x')]];
+  assert.equal(run(start({decls: decls(returnStmt(incCall))})).result.toInteger(), 8,
+    "goto in a function called through a code pointer");
+  const error = runError(start({checked: true, decls: decls(returnStmt(deref(leakCall)))}));
+  assert.equal(error.kind, 'dangling pointer');
+  assert.equal(error.function, 'leak', "names the function");
   assert.end();
 });
@@ -0,0 +1,91 @@
+import test from 'tape';
+import {start, run, liveAllocations} from '../src';
+import {
+  builtinType, intType, intLit, declRef, call, assign, binOp, varDecl, declStmt,
+  returnStmt, functionDecl, mainDecl} from './ast';
+
+const voidPtrType = ['PointerType', {}, [builtinType('void')]];
+const intPtrType = ['PointerType', {}, [intType]];
+const sizeType = builtinType('unsigned long');
+const p = declRef('p');
+
+const subscript = function (array, index) {
+  return ['ArraySubscriptExpr', {}, [array, index]];
+};
+
+const program = function (...stmts) {
+  return [
+    functionDecl('malloc', voidPtrType, [['size', sizeType]]),
+    functionDecl('calloc', voidPtrType, [['count', sizeType], ['size', sizeType]]),
+    functionDecl('realloc', voidPtrType, [['ptr', voidPtrType], ['size', sizeType]]),
+    functionDecl('free', builtinType('void'), [['ptr', voidPtrType]]),
+    mainDecl(
+      declStmt(varDecl('p', intPtrType, call('malloc', intLit(12)))),
+      ...stmts)
+  ];
+};
+
+const runError = function (core) {
+  try {
+    run(core);
+  } catch (ex) {
+    return ex;
+  }
+};
+
+test("malloc, calloc and free", function (assert) {
+  const {core, result} = run(start({decls: program(
+    assign(subscript(p, intLit(2)), intLit(5)),
+    declStmt(varDecl('q', intPtrType, call('calloc', intLit(2), intLit(4)))),
+    declStmt(varDecl('r', intType, binOp('Add', subscript(p, intLit(2)), subscript(declRef('q'), intLit(1))))),
+    call('free', p),
+    returnStmt(declRef('r')))}));
+  assert.equal(result.toInteger(), 5);
+  const blocks = liveAllocations(core);
+  assert.equal(blocks.length, 1, "one block is live");
+  assert.equal(blocks[0].size, 8);
+  assert.equal(core.warnings.size, 1);
+  assert.equal(core.warnings.get(0).kind, 'memory leak', "leaked block is reported");
+  assert.equal(core.warnings.get(0).address, blocks[0].address);
+  assert.end();
+});
+
+test("realloc keeps the contents of the block", function (assert) {
+  const {core, result} = run(start({decls: program(
+    assign(subscript(p, intLit(2)), intLit(7)),
+    assign(p, call('realloc', p, intLit(400))),
+    assign(subscript(p, intLit(99)), intLit(1)),
+    returnStmt(subscript(p, intLit(2))))}));
+  assert.equal(result.toInteger(), 7);
+  assert.equal(liveAllocations(core)[0].size, 400);
+  assert.end();
+});
+
+test("freed blocks are reused", function (assert) {
+  const {core} = run(start({decls: program(
+    call('free', p),
+    declStmt(varDecl('q', intPtrType, call('malloc', intLit(8)))),
+    returnStmt(binOp('EQ', p, declRef('q'))))}));
+  assert.equal(core.result.toInteger(), 1);
+  assert.end();
+});
+
+test("double and invalid frees are errors", function (assert) {
+  let error = runError(start({decls: program(call('free', p), call('free', p))}));
+  assert.equal(error.kind, 'double free');
+  error = runError(start({decls: program(
+    call('free', binOp('Add', p, intLit(1))))}));
+  assert.equal(error.kind, 'invalid free', "pointer inside a block");
+  error = runError(start({decls: program(
+    call('free', ['UnaryOperator', {opcode: 'AddrOf'}, [p]]))}));
+  assert.equal(error.kind, 'invalid free', "pointer to a local variable");
+  assert.end();
+});
+
+test("use after free is an error in checked mode", function (assert) {
+  const error = runError(start({checked: true, decls: program(
+    call('free', p),
+    returnStmt(subscript(p, intLit(0))))}));
+  assert.equal(error.kind, 'use after free');
+  assert.end();
+});
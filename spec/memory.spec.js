@@ -0,0 +1,120 @@
+import test from 'tape';
+import Immutable from 'immutable';
+import {
+  builtinTypes, pointerType, arrayType, IntegralValue, PointerValue, readValue, writeValue} from '../src';
+import {allocate} from '../src/memory';
+import {packValue, unpackValue} from '../src/value';
+
+const intType = builtinTypes['int'];
+const intRef = function (address) {
+  return new PointerValue(pointerType(intType), address);
+};
+
+test("writes leave earlier memory snapshots unchanged", function (assert) {
+  const memory0 = allocate(0x1000);
+  const memory1 = writeValue(memory0, intRef(0x10), new IntegralValue(intType, 0x01020304));
+  const memory2 = writeValue(memory1, intRef(0x10), new IntegralValue(intType, 5));
+  assert.deepEqual(Array.from(memory0.slice(0x10, 0x14)), [0, 0, 0, 0]);
+  assert.deepEqual(Array.from(memory1.slice(0x10, 0x14)), [1, 2, 3, 4]);
+  assert.deepEqual(Array.from(memory2.slice(0x10, 0x14)), [0, 0, 0, 5]);
+  assert.equal(memory1.getPage(0x100), memory0.getPage(0x100), "untouched pages are shared");
+  assert.end();
+});
+
+test("values can straddle page boundaries", function (assert) {
+  const ref = intRef(0x3e);
+  const memory = writeValue(allocate(0x1000), ref, new IntegralValue(intType, -2));
+  assert.equal(readValue({memory}, ref).toInteger(), -2);
+  assert.equal(memory.get(0x3e), 0xff);
+  assert.equal(memory.get(0x41), 0xfe);
+  assert.end();
+});
+
+test("bytes outside the memory read as zero and ignore writes", function (assert) {
+  const memory = allocate(0x100);
+  assert.equal(writeValue(memory, intRef(0x100), new IntegralValue(intType, 1)), memory);
+  assert.deepEqual(Array.from(memory.slice(0xfe, 0x102)), [0, 0, 0, 0]);
+  assert.equal(memory.get(0x100), undefined);
+  assert.end();
+});
+
+/* The byte-list representation that paged memory replaces. */
+const listWriteValue = function (memory, ref, value) {
+  const view = new DataView(new ArrayBuffer(value.type.size));
+  packValue(view, 0, value, false);
+  for (let offset = 0; offset < value.type.size; offset += 1) {
+    memory = memory.set(ref.address + offset, view.getUint8(offset));
+  }
+  return memory;
+};
+const listReadValue = function (memory, ref) {
+  const view = new DataView(new ArrayBuffer(ref.type.pointee.size));
+  for (let offset = 0; offset < ref.type.pointee.size; offset += 1) {
+    view.setUint8(offset, memory.get(ref.address + offset));
+  }
+  return unpackValue(view, 0, ref.type.pointee, false);
+};
+
+const arrayOf256 = arrayType(intType, new IntegralValue(builtinTypes['unsigned int'], 256));
+
+/* Sweeps an int array covering the whole memory, adding 1 to each element,
+   then copies the memory around as int[256] blocks, and returns the final
+   memory. */
+const arrayTraffic = function (memory, read, write, passes) {
+  const size = memory.size;
+  const intRefs = [], blockRefs = [];
+  for (let address = 0; address < size; address += 4) {
+    intRefs.push(intRef(address));
+  }
+  for (let address = 0; address < size; address += 1024) {
+    blockRefs.push(new PointerValue(pointerType(arrayOf256), address));
+  }
+  for (let pass = 0; pass < passes; pass += 1) {
+    for (let ref of intRefs) {
+      const value = read(memory, ref);
+      memory = write(memory, ref, new IntegralValue(intType, value.toInteger() + 1));
+    }
+    for (let index = 0; index < blockRefs.length; index += 1) {
+      const block = read(memory, blockRefs[index]);
+      memory = write(memory, blockRefs[(index + 1) % blockRefs.length], block);
+    }
+  }
+  return memory;
+};
+
+const pagedRead = function (memory, ref) {
+  return readValue({memory}, ref);
+};
+
+test("paged memory gives the same results as a byte list", function (assert) {
+  const size = 0x10000;
+  const paged = arrayTraffic(allocate(size), pagedRead, writeValue, 2);
+  const list = arrayTraffic(Immutable.List(Array(size).fill(0)), listReadValue, listWriteValue, 2);
+  assert.deepEqual(Array.from(paged.slice(0, size)), list.toArray(), "same final memory");
+  assert.end();
+});
+
+/* Returns the number of (64-byte) pages of memory2 that are not shared
+   with memory1. */
+const copiedPages = function (memory1, memory2) {
+  let count = 0;
+  for (let address = 0; address < memory2.size; address += 64) {
+    if (memory1.getPage(address) !== memory2.getPage(address)) {
+      count += 1;
+    }
+  }
+  return count;
+};
+
+test("writes copy only the pages they touch", function (assert) {
+  const memory0 = arrayTraffic(allocate(0x10000), pagedRead, writeValue, 1);
+  const before = Array.from(memory0.slice(0x2000, 0x3400));
+  const memory1 = writeValue(memory0, intRef(0x2000), new IntegralValue(intType, 42));
+  assert.equal(copiedPages(memory0, memory1), 1, "an int write copies one page");
+  const blockRef = new PointerValue(pointerType(arrayOf256), 0x3000);
+  const memory2 = writeValue(memory1, blockRef, pagedRead(memory0, blockRef));
+  assert.equal(copiedPages(memory1, memory2), 16, "a 1 KiB write copies 16 pages");
+  assert.equal(copiedPages(memory0, memory2), 17);
+  assert.deepEqual(Array.from(memory0.slice(0x2000, 0x3400)), before, "snapshots are unchanged");
+  assert.end();
+});
@@ -0,0 +1,198 @@
+import test from 'tape';
+import {
+  start, run, stepExpr, stepInto, stepOver, stepOut, runToNode, evalExpr,
+  addBreakpoint, removeBreakpoint, addWatchpoint} from '../src';
+import {
+  builtinType, intType, intLit, declRef, binOp, assign, compoundAssign, call, varDecl, declStmt, block,
+  returnStmt, functionDecl, mainDecl} from './ast';
+
+const a = declRef('a');
+const fReturn = returnStmt(declRef('y'));
+const mainReturn = returnStmt(a);
+const program = [
+  functionDecl('f', intType, [['x', intType]], block(
+    declStmt(varDecl('y', intType, binOp('Add', declRef('x'), intLit(1)))),
+    fReturn)),
+  mainDecl(
+    declStmt(varDecl('a', intType, call('f', intLit(1)))),
+    assign(a, binOp('Add', a, call('f', intLit(2)))),
+    mainReturn)
+];
+
+test("stepInto enters function calls", function (assert) {
+  let stop = stepInto(start({decls: program}));
+  assert.equal(stop.reason, 'done');
+  assert.equal(stop.core.control.node[0], 'DeclStmt', "stops at main's first statement");
+  stop = stepInto(stop.core);
+  assert.equal(stop.core.control.node[2][0][1].name, 'y', "stops inside f");
+  assert.end();
+});
+
+test("stepOver does not stop inside function calls", function (assert) {
+  const {core} = stepInto(start({decls: program}));
+  const stop = stepOver(core);
+  assert.equal(stop.reason, 'done');
+  assert.equal(stop.core.control.node[0], 'BinaryOperator', "stops at main's next statement");
+  assert.equal(stop.core.scope.kind, 'variable');
+  assert.equal(stop.core.scope.name, 'a', "f's scope was popped");
+  assert.end();
+});
+
+test("stepOut stops when the call's result is available", function (assert) {
+  const {core} = stepInto(stepInto(start({decls: program})).core);
+  const stop = stepOut(core);
+  assert.equal(stop.reason, 'done');
+  assert.equal(stop.core.control.node[0], 'CallExpr');
+  assert.equal(stop.core.direction, 'out');
+  assert.equal(stop.core.result.toInteger(), 2);
+  assert.end();
+});
+
+test("runToNode stops when control enters the node", function (assert) {
+  let stop = runToNode(start({decls: program}), fReturn);
+  assert.equal(stop.core.control.node, fReturn);
+  stop = runToNode(stop.core, fReturn);
+  assert.equal(stop.core.control.node, fReturn, "stops again on the second call");
+  assert.equal(stop.core.scope.name, 'y');
+  stop = runToNode(stop.core, fReturn);
+  assert.equal(stop.reason, 'halted');
+  assert.equal(stop.core.result.toInteger(), 5);
+  assert.end();
+});
+
+test("stepExpr stops at the next expression", function (assert) {
+  const {core} = stepInto(start({decls: program}));
+  const stop = stepExpr(core);
+  assert.equal(stop.core.control.seq, 'expr');
+  assert.equal(stop.core.control.node[0], 'CallExpr');
+  assert.end();
+});
+
+test("commands stop at the step limit", function (assert) {
+  const initial = start({decls: program});
+  const stop = run(initial, {stepLimit: 3});
+  assert.equal(stop.reason, 'limit');
+  assert.equal(stop.result, undefined);
+  assert.ok(stop.core.control, "program is not halted");
+  assert.equal(run(stop.core).result.toInteger(), 5, "program can be resumed");
+  assert.notOk(initial.scope.parent, "initial core is unchanged");
+  assert.end();
+});
+
+test("breakpoints stop the runner when control enters their node", function (assert) {
+  let stop = run(addBreakpoint(start({decls: program}), fReturn));
+  assert.equal(stop.reason, 'breakpoint');
+  assert.equal(stop.breakpoint.node, fReturn, "reports the breakpoint");
+  assert.equal(evalExpr(stop.core, declRef('y')).toInteger(), 2);
+  stop = run(stop.core);
+  assert.equal(stop.reason, 'breakpoint', "fires again on the next call");
+  assert.equal(evalExpr(stop.core, declRef('y')).toInteger(), 3);
+  stop = run(removeBreakpoint(stop.core, fReturn));
+  assert.equal(stop.reason, 'halted');
+  assert.end();
+});
+
+test("conditional breakpoints on function bodies", function (assert) {
+  const condition = binOp('EQ', declRef('x'), intLit(2));
+  const stop = run(addBreakpoint(start({decls: program}), program[0], condition));
+  assert.equal(stop.reason, 'breakpoint');
+  assert.equal(stop.breakpoint.node, program[0][2][2], "breakpoint is on the body");
+  assert.equal(stop.core.control.node, program[0][2][2]);
+  assert.equal(evalExpr(stop.core, declRef('x')).toInteger(), 2, "condition holds");
+  assert.equal(run(stop.core).reason, 'halted');
+  assert.end();
+});
+
+const b = declRef('b');
+const watchStart = assign(a, intLit(5));
+const watchProgram = [
+  mainDecl(
+    declStmt(varDecl('a', intType, intLit(1)), varDecl('b', intType, intLit(2))),
+    watchStart,
+    assign(b, binOp('Add', a, intLit(1))),
+    compoundAssign('AddAssign', a, b),
+    returnStmt(a))
+];
+
+test("write watchpoints report the old and new value", function (assert) {
+  const {core} = runToNode(start({decls: watchProgram}), watchStart);
+  let stop = run(addWatchpoint(core, 'a'));
+  assert.equal(stop.reason, 'watchpoint');
+  assert.equal(stop.watchpoint.name, 'a');
+  assert.equal(stop.oldValue.toInteger(), 1);
+  assert.equal(stop.newValue.toInteger(), 5);
+  stop = run(stop.core);
+  assert.equal(stop.reason, 'watchpoint', "the load in a + 1 is ignored");
+  assert.equal(stop.oldValue.toInteger(), 5);
+  assert.equal(stop.newValue.toInteger(), 11);
+  assert.end();
+});
+
+test("write watchpoints stop on variable initializers", function (assert) {
+  const yReturn = returnStmt(declRef('y'));
+  const decls = [
+    functionDecl('f', intType, [['x', intType]], block(
+      declStmt(varDecl('y', intType, binOp('Add', declRef('x'), intLit(1)))),
+      yReturn)),
+    mainDecl(
+      // y is allocated at the same address by both calls to f.
+      declStmt(varDecl('a', intType, intLit(0))),
+      assign(a, call('f', intLit(1))),
+      assign(a, call('f', intLit(2))),
+      returnStmt(a))
+  ];
+  const {core} = runToNode(start({decls}), yReturn);
+  const stop = run(addWatchpoint(core, 'y'));
+  assert.equal(stop.reason, 'watchpoint');
+  assert.equal(stop.oldValue.toInteger(), 2);
+  assert.equal(stop.newValue.toInteger(), 3, "int y = x + 1 in the second call");
+  assert.end();
+});
+
+test("write watchpoints stop on the heap builtins", function (assert) {
+  const p = declRef('p');
+  const intPtr = ['PointerType', {}, [intType]];
+  const voidPtr = ['PointerType', {}, [builtinType('void')]];
+  const sizeType = builtinType('unsigned int');
+  const toIntPtr = function (expr) {
+    return ['ImplicitCastExpr', {}, [expr, intPtr]];
+  };
+  const store = assign(['UnaryOperator', {opcode: 'Deref'}, [p]], intLit(7));
+  const decls = [
+    functionDecl('malloc', voidPtr, [['size', sizeType]]),
+    functionDecl('calloc', voidPtr, [['count', sizeType], ['size', sizeType]]),
+    functionDecl('free', builtinType('void'), [['p', voidPtr]]),
+    mainDecl(
+      declStmt(varDecl('p', intPtr, toIntPtr(call('malloc', intLit(4))))),
+      store,
+      call('free', p),
+      assign(p, toIntPtr(call('calloc', intLit(1), intLit(4)))),
+      call('free', p),
+      returnStmt(intLit(0)))
+  ];
+  const {core} = runToNode(start({decls}), store);
+  const {address} = evalExpr(core, p);
+  let stop = run(addWatchpoint(core, {address, size: 4}));
+  assert.equal(stop.newValue.toInteger(), 7, "stops on the store");
+  stop = run(stop.core);
+  assert.equal(stop.reason, 'watchpoint', "stops on calloc, which reuses the block");
+  assert.deepEqual(stop.oldValue.elements.map(byte => byte.toInteger()), [0, 0, 0, 7]);
+  assert.deepEqual(stop.newValue.elements.map(byte => byte.toInteger()), [0, 0, 0, 0]);
+  assert.equal(evalExpr(stop.core, p).address, address);
+  assert.end();
+});
+
+test("read and access watchpoints on address ranges", function (assert) {
+  const {core} = runToNode(start({decls: watchProgram}), watchStart);
+  let stop = run(addWatchpoint(core, 'a', 'read'));
+  assert.equal(stop.reason, 'watchpoint');
+  assert.equal(stop.core.control.node[0], 'BinaryOperator', "stops on a + 1");
+  assert.equal(stop.newValue.toInteger(), 5);
+  const address = evalExpr(core, ['UnaryOperator', {opcode: 'AddrOf'}, [b]]).address;
+  stop = run(addWatchpoint(core, {address, size: 1}, 'access'));
+  assert.equal(stop.reason, 'watchpoint');
+  assert.equal(stop.newValue.toInteger(), 6, "stops on the store to b");
+  stop = run(stop.core);
+  assert.equal(stop.oldValue.toInteger(), 6, "stops on the load of b");
+  assert.end();
+});
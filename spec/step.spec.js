@@ -0,0 +1,167 @@
+import test from 'tape';
+import {start, run} from '../src';
+import {
+  intType, intLit, declRef, binOp, assign, compoundAssign, varDecl, declStmt,
+  whileStmt, returnStmt, mainDecl} from './ast';
+
+const runMain = function (decls) {
+  return run(start({decls})).core;
+};
+
+const caseStmt = function (value, stmt) {
+  return ['CaseStmt', {}, [intLit(value), stmt]];
+};
+
+const defaultStmt = function (stmt) {
+  return ['DefaultStmt', {}, [stmt]];
+};
+
+const switchStmt = function (cond, ...stmts) {
+  return ['SwitchStmt', {}, [cond, ['CompoundStmt', {}, stmts]]];
+};
+
+const breakStmt = ['BreakStmt', {}, []];
+const continueStmt = ['ContinueStmt', {}, []];
+const r = declRef('r');
+
+const switchProgram = function (value) {
+  return [mainDecl(
+    declStmt(varDecl('r', intType, intLit(0))),
+    switchStmt(intLit(value),
+      caseStmt(1, assign(r, intLit(10))),
+      caseStmt(2, compoundAssign('AddAssign', r, intLit(2))),
+      caseStmt(3, compoundAssign('AddAssign', r, intLit(3))),
+      breakStmt,
+      defaultStmt(assign(r, intLit(99)))),
+    returnStmt(r))];
+};
+
+test("switch falls through from the matching case until break", function (assert) {
+  assert.equal(runMain(switchProgram(2)).result.toInteger(), 5);
+  assert.equal(runMain(switchProgram(1)).result.toInteger(), 15);
+  assert.end();
+});
+
+test("switch jumps to default when no case matches", function (assert) {
+  assert.equal(runMain(switchProgram(7)).result.toInteger(), 99);
+  assert.end();
+});
+
+test("declarations before the first case are in scope but uninitialized", function (assert) {
+  const y = declRef('y');
+  // switch (1) { int y = 5; case 1: y = 4; r = y; }
+  const program = function (...stmts) {
+    return [mainDecl(
+      declStmt(varDecl('r', intType, intLit(0))),
+      switchStmt(intLit(1),
+        declStmt(varDecl('y', intType, intLit(5))),
+        caseStmt(1, stmts[0]),
+        ...stmts.slice(1)),
+      returnStmt(r))];
+  };
+  const core = runMain(program(assign(y, intLit(4)), assign(r, y)));
+  assert.equal(core.result.toInteger(), 4);
+  assert.equal(core.scope.key, 0, "all scopes are popped");
+  const {warnings} = run(start({decls: program(assign(r, y)), uninitialized: 'warn'})).core;
+  assert.equal(warnings.size, 1);
+  assert.equal(warnings.get(0).kind, 'uninitialized read');
+  assert.equal(warnings.get(0).name, 'y');
+  assert.end();
+});
+
+test("continue inside a switch targets the enclosing loop", function (assert) {
+  const i = declRef('i'), n = declRef('n');
+  const core = runMain([mainDecl(
+    declStmt(varDecl('i', intType, intLit(0)), varDecl('n', intType, intLit(0))),
+    whileStmt(binOp('LT', i, intLit(5)), ['CompoundStmt', {}, [
+      declStmt(varDecl('k', intType, intLit(1))),
+      compoundAssign('AddAssign', i, declRef('k')),
+      switchStmt(i,
+        caseStmt(2, continueStmt),
+        caseStmt(4, breakStmt),
+        defaultStmt(compoundAssign('AddAssign', n, intLit(1)))),
+      compoundAssign('AddAssign', n, intLit(10))]]),
+    returnStmt(n))]);
+  assert.equal(core.result.toInteger(), 43);
+  assert.equal(core.scope.key, 0, "all scopes are popped");
+  assert.end();
+});
+
+const labelStmt = function (name, stmt) {
+  return ['LabelStmt', {name}, [stmt]];
+};
+
+const gotoStmt = function (label) {
+  return ['GotoStmt', {label}, []];
+};
+
+test("goto leaves the blocks it jumps out of", function (assert) {
+  const core = runMain([mainDecl(
+    declStmt(varDecl('r', intType, intLit(3))),
+    whileStmt(intLit(1), ['CompoundStmt', {}, [
+      declStmt(varDecl('r', intType, intLit(7))),
+      gotoStmt('done')]]),
+    assign(r, intLit(100)),
+    labelStmt('done', returnStmt(r)))]);
+  assert.equal(core.result.toInteger(), 3);
+  assert.end();
+});
+
+test("goto jumps backwards and into nested blocks", function (assert) {
+  const i = declRef('i');
+  const core = runMain([mainDecl(
+    declStmt(varDecl('i', intType, intLit(0)), varDecl('r', intType, intLit(1))),
+    labelStmt('again', compoundAssign('AddAssign', i, intLit(1))),
+    ['IfStmt', {}, [binOp('LT', i, intLit(5)), gotoStmt('again')]],
+    gotoStmt('inner'),
+    ['CompoundStmt', {}, [
+      declStmt(varDecl('x', intType, intLit(5))),
+      assign(r, intLit(100)),
+      labelStmt('inner', compoundAssign('AddAssign', r, i))]],
+    returnStmt(r))]);
+  assert.equal(core.result.toInteger(), 6);
+  assert.equal(core.scope.key, 0, "all scopes are popped");
+  assert.end();
+});
+
+test("goto back over declarations ends their lifetime", function (assert) {
+  const i = declRef('i');
+  // int i = 0; top: ; int t = i; i += 1; if (i < 5000) goto top; return t;
+  const core = runMain([mainDecl(
+    declStmt(varDecl('i', intType, intLit(0))),
+    labelStmt('top', ['NullStmt', {}, []]),
+    declStmt(varDecl('t', intType, i)),
+    compoundAssign('AddAssign', i, intLit(1)),
+    ['IfStmt', {}, [binOp('LT', i, intLit(5000)), gotoStmt('top')]],
+    returnStmt(declRef('t')))]);
+  assert.equal(core.result.toInteger(), 4999, "the stack does not grow");
+  assert.equal(core.scope.key, 0, "all scopes are popped");
+  assert.end();
+});
+
+test("goto forward over declarations leaves them uninitialized", function (assert) {
+  const y = declRef('y');
+  const decls = function (...stmts) {
+    return [mainDecl(
+      declStmt(varDecl('r', intType, intLit(1))),
+      gotoStmt('skip'),
+      declStmt(varDecl('y', intType, intLit(5))),
+      ['CompoundStmt', {}, [
+        declStmt(varDecl('x', intType, intLit(2))),
+        labelStmt('skip', assign(declRef('x'), intLit(3))),
+        compoundAssign('AddAssign', r, declRef('x'))]],
+      ...stmts)];
+  };
+  const core = runMain(decls(assign(y, intLit(4)), returnStmt(binOp('Add', r, y))));
+  assert.equal(core.result.toInteger(), 8, "y and x are declared");
+  assert.equal(core.scope.key, 0, "all scopes are popped");
+  let error;
+  try {
+    run(start({decls: decls(returnStmt(y)), uninitialized: 'error'}));
+  } catch (ex) {
+    error = ex;
+  }
+  assert.equal(error && error.kind, 'uninitialized read', "y is not initialized");
+  assert.equal(error && error.name, 'y');
+  assert.end();
+});
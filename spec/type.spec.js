@@ -0,0 +1,109 @@
+import test from 'tape';
+import {start, builtinTypes, arrayType, IntegralValue, findPadding, findPaddingBytes} from '../src';
+import {recordType} from '../src/type';
+import {builtinType, intLit, varDecl, returnStmt, mainDecl} from './ast';
+
+const charType = builtinTypes['char'];
+const intType = builtinTypes['int'];
+
+const mixedFields = [
+  {name: 'c', type: charType},
+  {name: 'i', type: intType},
+  {name: 'd', type: charType}
+];
+
+test("records are laid out with alignment padding", function (assert) {
+  const type = recordType('s', mixedFields);
+  assert.equal(type.fieldMap.c.offset, 0);
+  assert.equal(type.fieldMap.i.offset, 4, "int field is aligned");
+  assert.equal(type.fieldMap.d.offset, 8);
+  assert.equal(type.size, 12, "size includes trailing padding");
+  assert.equal(type.align, 4, "alignment of the most aligned field");
+  assert.deepEqual(findPadding(type), [{offset: 1, size: 3}, {offset: 9, size: 3}]);
+  assert.end();
+});
+
+test("padding is found in nested records and arrays of records", function (assert) {
+  const inner = recordType('inner', mixedFields);
+  const outer = recordType('outer', [
+    {name: 'c', type: charType},
+    {name: 'a', type: arrayType(inner, new IntegralValue(builtinTypes['unsigned int'], 2))}
+  ]);
+  assert.equal(outer.fieldMap.a.offset, 4);
+  assert.equal(outer.size, 28);
+  assert.deepEqual(findPadding(outer), [
+    {offset: 1, size: 3},
+    {offset: 5, size: 3}, {offset: 13, size: 3},
+    {offset: 17, size: 3}, {offset: 25, size: 3}
+  ]);
+  assert.end();
+});
+
+test("the fields of a union share its bytes", function (assert) {
+  const inner = recordType('inner', mixedFields);
+  const type = recordType('u', [
+    {name: 'c', type: charType},
+    {name: 's', type: inner},
+    {name: 'd', type: builtinTypes['double']}
+  ], undefined, true);
+  assert.ok(type.union);
+  assert.deepEqual(type.fields.map(name => type.fieldMap[name].offset), [0, 0, 0]);
+  assert.equal(type.size, 16, "largest field rounded up to the alignment");
+  assert.equal(type.align, 8);
+  assert.deepEqual(findPadding(type), [{offset: 9, size: 7}],
+    "bytes used by any field are not padding");
+  const small = recordType('v', [{name: 's', type: inner}, {name: 'c', type: charType}], undefined, true);
+  assert.deepEqual(findPadding(small), [{offset: 1, size: 3}, {offset: 9, size: 3}]);
+  assert.end();
+});
+
+const bitField = function (name, type, bitWidth) {
+  return {name, type, bitWidth};
+};
+
+test("bit-fields are packed into storage units as by gcc", function (assert) {
+  const unsignedType = builtinTypes['unsigned int'];
+  const sizeOf = fields => recordType('s', fields).size;
+  assert.equal(sizeOf([{name: 'c', type: charType}, bitField('b', intType, 4)]), 4,
+    "b shares its unit with c");
+  assert.equal(sizeOf([bitField('a', intType, 3), bitField('b', intType, 30)]), 8,
+    "b would straddle a unit");
+  assert.equal(sizeOf([bitField('a', intType, 1), bitField(undefined, intType, 0),
+    bitField('b', intType, 1)]), 8, "a zero-width bit-field ends the unit");
+  assert.equal(sizeOf([{name: 'c', type: charType}, bitField(undefined, intType, 3)]), 2,
+    "unnamed bit-fields do not align the record");
+  const type = recordType('s', [
+    bitField('a', unsignedType, 3),
+    {name: 'c', type: charType},
+    bitField('b', builtinTypes['short'], 9),
+    bitField('d', charType, 2)
+  ]);
+  assert.deepEqual(type.fields, ['a', 'c', 'b', 'd']);
+  assert.deepEqual(type.fieldMap.a, {offset: 0, type: unsignedType, bitField: {offset: 0, width: 3}});
+  assert.equal(type.fieldMap.c.offset, 1, "c follows the bits of a");
+  assert.deepEqual(type.fieldMap.b.bitField, {offset: 0, width: 9});
+  assert.equal(type.fieldMap.b.offset, 2);
+  assert.deepEqual(type.fieldMap.d.bitField, {offset: 1, width: 2});
+  assert.equal(type.fieldMap.d.offset, 3, "d follows b in the last byte");
+  assert.equal(type.size, 4);
+  assert.deepEqual(findPadding(type), []);
+  assert.end();
+});
+
+test("global variables are aligned and their padding is reported", function (assert) {
+  const core = start({decls: [
+    ['RecordDecl', {name: 's'}, [
+      ['FieldDecl', {name: 'c'}, [builtinType('char')]],
+      ['FieldDecl', {name: 'i'}, [builtinType('int')]]
+    ]],
+    varDecl('flag', builtinType('char'), intLit(1)),
+    varDecl('x', ['RecordType', {name: 's'}, []]),
+    mainDecl(returnStmt(intLit(0)))
+  ]});
+  const flag = core.globalMap['flag'].address;
+  const x = core.globalMap['x'].address;
+  assert.equal(x % 4, 0, "record is aligned");
+  assert.ok(x > flag);
+  assert.deepEqual(findPaddingBytes(core).sort().toArray(), [x + 1, x + 2, x + 3]);
+  assert.end();
+});
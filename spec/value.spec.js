@@ -0,0 +1,198 @@
+import test from 'tape';
+import {builtinTypes, targets, pointerType, IntegralValue, FloatingValue} from '../src';
+import {lubType} from '../src/type';
+import {evalBinaryOperation, evalUnaryOperation, evalCast} from '../src/value';
+
+const type = function (repr) {
+  return builtinTypes[repr];
+};
+const value = function (repr, number) {
+  return new IntegralValue(type(repr), number);
+};
+
+test("64-bit integers are exact and wrap around", function (assert) {
+  const max = value('unsigned long long', BigInt('18446744073709551615'));
+  assert.equal(max.toString(), '18446744073709551615');
+  assert.equal(evalBinaryOperation('Add', max, value('int', 1)).toString(), '0');
+  const big = value('long long', BigInt('9007199254740993'));
+  assert.equal(evalBinaryOperation('Mul', big, value('int', 3)).toString(), '27021597764222979',
+    "beyond 2^53");
+  assert.equal(evalUnaryOperation('Minus', value('unsigned long long', 1)).toString(),
+    '18446744073709551615');
+  assert.equal(evalBinaryOperation('Div', value('long long', -7), value('int', 2)).toString(), '-3',
+    "division truncates toward zero");
+  assert.end();
+});
+
+test("64-bit shifts and comparisons", function (assert) {
+  const one = value('unsigned long long', 1);
+  const top = evalBinaryOperation('Shl', one, value('int', 63));
+  assert.equal(top.toString(), '9223372036854775808');
+  assert.equal(top.type, type('unsigned long long'));
+  assert.equal(evalBinaryOperation('Shr', top, value('int', 60)).toString(), '8');
+  assert.equal(evalBinaryOperation('Shr', value('long long', -16), value('int', 2)).toString(), '-4');
+  assert.equal(evalBinaryOperation('GT', top, value('int', 1)).toInteger(), 1);
+  assert.equal(evalBinaryOperation('EQ', value('long long', 5), value('int', 5)).toInteger(), 1);
+  assert.end();
+});
+
+test("64-bit shift counts out of range", function (assert) {
+  const one = value('long long', 1);
+  const huge = value('long long', 2000000000);
+  assert.equal(evalBinaryOperation('Shl', one, value('int', 70)).toString(), '64',
+    "unchecked counts are taken modulo 64");
+  assert.equal(evalBinaryOperation('Shl', one, huge).toString(), '1');
+  assert.equal(evalBinaryOperation('Shr', value('long long', -256), value('int', -60)).toString(), '-16');
+  const checked = function (count) {
+    try {
+      evalBinaryOperation('Shl', one, count, true);
+    } catch (ex) {
+      return ex;
+    }
+  };
+  assert.equal(checked(huge).kind, 'invalid shift');
+  assert.equal(checked(huge).width, 64);
+  assert.equal(checked(value('int', 64)).kind, 'invalid shift');
+  assert.equal(checked(value('int', -1)).kind, 'invalid shift');
+  assert.end();
+});
+
+test("casts to and from 64-bit integers", function (assert) {
+  const big = value('long long', BigInt('0x123456789'));
+  assert.equal(evalCast(type('int'), big).toInteger(), 0x23456789);
+  assert.equal(evalCast(type('unsigned char'), value('long long', -1)).toInteger(), 255);
+  assert.equal(evalCast(type('char'), value('int', 200)).toInteger(), -56);
+  assert.equal(evalCast(type('long long'), value('int', -1)).toString(), '-1');
+  assert.equal(evalCast(type('unsigned long long'), value('int', -1)).toString(),
+    '18446744073709551615');
+  assert.equal(evalCast(type('double'), big).number, 0x123456789);
+  assert.end();
+});
+
+const ubError = function (thunk) {
+  try {
+    thunk();
+  } catch (ex) {
+    return ex;
+  }
+};
+
+test("integer division truncates toward zero", function (assert) {
+  assert.equal(evalBinaryOperation('Div', value('int', -7), value('int', 2)).toInteger(), -3);
+  assert.equal(evalBinaryOperation('Rem', value('int', -7), value('int', 2)).toInteger(), -1);
+  assert.equal(evalBinaryOperation('Div', value('int', 1), value('int', 0)).toInteger(), 0,
+    "division by zero gives zero when unchecked");
+  assert.equal(evalBinaryOperation('Mul', value('int', 0x7fffffff), value('int', 0x7fffffff)).toInteger(), 1,
+    "32-bit multiplication is exact");
+  assert.end();
+});
+
+test("undefined behaviour checks", function (assert) {
+  const intMax = value('int', 0x7fffffff), intMin = value('int', -0x80000000);
+  const binary = (op, lhs, rhs) => ubError(() => evalBinaryOperation(op, lhs, rhs, true));
+  assert.equal(binary('Add', intMax, value('int', 1)).kind, 'signed overflow');
+  assert.equal(binary('Mul', value('long long', BigInt('0x100000000')),
+    value('long long', BigInt('0x80000000'))).kind, 'signed overflow');
+  assert.equal(binary('Div', intMin, value('int', -1)).kind, 'signed overflow', "INT_MIN / -1");
+  assert.equal(binary('Rem', intMin, value('int', -1)).kind, 'signed overflow', "INT_MIN % -1");
+  assert.equal(binary('Div', intMax, value('int', 0)).kind, 'division by zero');
+  assert.equal(binary('RemAssign', intMax, value('int', 0)).kind, 'division by zero');
+  assert.equal(binary('Shl', value('int', 1), value('int', 32)).kind, 'invalid shift');
+  assert.equal(binary('Shr', value('int', 1), value('int', -1)).kind, 'invalid shift');
+  assert.equal(binary('Shl', value('int', -1), value('int', 1)).kind, 'signed overflow');
+  assert.equal(binary('Add', value('unsigned int', 0xffffffff), value('unsigned int', 1)), undefined,
+    "unsigned arithmetic wraps");
+  assert.equal(binary('Add', value('char', 127), value('char', 1)), undefined,
+    "char operands are promoted");
+  assert.equal(ubError(() => evalUnaryOperation('Minus', intMin, true)).kind, 'signed overflow');
+  const floatError = ubError(() => evalCast(type('int'), new FloatingValue(type('double'), 3e9), true));
+  assert.equal(floatError.kind, 'float conversion');
+  assert.equal(ubError(() => evalCast(type('unsigned char'), new FloatingValue(type('double'), -1), true)).kind,
+    'float conversion');
+  assert.equal(evalCast(type('int'), new FloatingValue(type('double'), -2.5), true).toInteger(), -2);
+  assert.end();
+});
+
+test("integer promotions and usual arithmetic conversions", function (assert) {
+  const sum = evalBinaryOperation('Add', value('char', 100), value('char', 100));
+  assert.equal(sum.type, type('int'), "char + char is an int");
+  assert.equal(sum.toInteger(), 200);
+  assert.equal(evalBinaryOperation('LT', value('int', -1), value('unsigned int', 1)).toInteger(), 0,
+    "-1 converts to UINT_MAX");
+  assert.equal(evalBinaryOperation('LT', value('int', -1), value('long long', 1)).toInteger(), 1);
+  const mixed = evalBinaryOperation('Add', value('int', 1), new FloatingValue(type('double'), 2.5));
+  assert.equal(mixed.type, type('double'));
+  assert.equal(mixed.number, 3.5);
+  const shifted = evalBinaryOperation('Shl', value('unsigned char', 1), value('long long', 9));
+  assert.equal(shifted.type, type('int'), "shifts have the promoted type of the left operand");
+  assert.equal(shifted.toInteger(), 512);
+  assert.equal(evalBinaryOperation('Shr', value('unsigned int', 0x80000000), value('int', 31)).toInteger(), 1,
+    "unsigned right shifts are logical");
+  assert.equal(evalUnaryOperation('Minus', value('unsigned char', 1)).toInteger(), -1,
+    "unary operands are promoted");
+  assert.end();
+});
+
+test("common type of mixed operands", function (assert) {
+  assert.equal(lubType(type('long'), type('unsigned int')), type('unsigned long'), "ilp32");
+  const lp64 = targets.lp64le.builtinTypes;
+  assert.equal(lubType(lp64['long'], lp64['unsigned int']), lp64['long'], "lp64");
+  assert.equal(lubType(type('unsigned short'), type('short')), type('int'));
+  assert.equal(lubType(type('float'), type('long long')), type('float'));
+  assert.equal(lubType(type('unsigned long long'), type('long long')), type('unsigned long long'));
+  assert.end();
+});
+
+const float = function (number) {
+  return new FloatingValue(type('float'), number);
+};
+const double = function (number) {
+  return new FloatingValue(type('double'), number);
+};
+
+test("floating-point operators", function (assert) {
+  assert.equal(evalBinaryOperation('Div', double(1), double(0)).toString(), 'inf');
+  assert.equal(evalBinaryOperation('Div', double(-1), double(0)).toString(), '-inf');
+  assert.equal(evalBinaryOperation('Div', double(0), double(0)).toString(), 'nan');
+  assert.equal(evalBinaryOperation('Mul', double(-1), double(0)).toString(), '-0');
+  const rem = ubError(() => evalBinaryOperation('Rem', double(-7.5), double(2)));
+  assert.equal(rem.kind, 'invalid operands', "% requires integer operands");
+  assert.equal(rem.details, 'invalid operands to %: double and double');
+  assert.equal(ubError(() => evalBinaryOperation('RemAssign', value('int', 7), float(2))).details,
+    'invalid operands to %: int and float');
+  assert.equal(evalBinaryOperation('MulAssign', double(1.5), double(2)).number, 3);
+  const nan = double(NaN);
+  assert.equal(evalBinaryOperation('EQ', nan, nan).toInteger(), 0, "NaN is not equal to itself");
+  assert.equal(evalBinaryOperation('NE', nan, nan).toInteger(), 1);
+  assert.equal(evalBinaryOperation('LT', nan, double(1)).toInteger(), 0);
+  assert.equal(evalBinaryOperation('GE', double(2), value('int', 2)).toInteger(), 1);
+  assert.equal(evalUnaryOperation('LNot', double(0)).toInteger(), 1);
+  assert.equal(evalUnaryOperation('LNot', double(-0)).toInteger(), 1);
+  assert.equal(evalUnaryOperation('LNot', nan).toInteger(), 0);
+  assert.equal(evalUnaryOperation('LNot', double(0.5)).type, type('int'));
+  assert.end();
+});
+
+test("float operations are rounded to single precision", function (assert) {
+  const tenth = float(0.1);
+  assert.equal(tenth.number, Math.fround(0.1));
+  const sum = evalBinaryOperation('Add', tenth, float(0.2));
+  assert.equal(sum.type, type('float'));
+  assert.equal(sum.number, Math.fround(Math.fround(0.1) + Math.fround(0.2)));
+  assert.equal(evalBinaryOperation('Add', tenth, double(0.2)).type, type('double'));
+  assert.equal(evalUnaryOperation('Minus', tenth).number, -Math.fround(0.1));
+  assert.end();
+});
+
+test("floating-point conversions", function (assert) {
+  assert.equal(evalCast(type('float'), double(1e300)).toString(), 'inf', "overflows to inf");
+  assert.equal(evalCast(type('float'), double(-Infinity)).toString(), '-inf');
+  assert.equal(evalCast(type('double'), float(NaN)).toString(), 'nan');
+  assert.ok(Object.is(evalCast(type('float'), double(-0)).number, -0), "keeps the sign of zero");
+  assert.equal(evalCast(type('float'), double(1 / 3)).number, Math.fround(1 / 3));
+  assert.equal(evalCast(type('long long'), double(-1e18)).toString(), '-1000000000000000000');
+  assert.equal(evalCast(type('int'), double(NaN)).toInteger(), 0, "unchecked NaN conversion");
+  const pointer = evalCast(pointerType(type('char')), double(1234.9));
+  assert.equal(pointer.address, 1234);
+  assert.end();
+});
@@ -0,0 +1,108 @@
+/*
+
+A breakpoint {node, condition} stops the runner when control enters node,
+if the (optional) condition expression evaluates to a true value in the
+current scope.  The breakpoints are attached to the core, as an immutable
+map keyed by node.
+
+A watchpoint {address, size, mode} (and {name, ref} when set on a variable)
+stops the runner when a load or store effect accesses the watched range.
+Write watchpoints also stop on the other effects that change the watched
+bytes, such as the initialization of a variable or the heap builtins.
+The watchpoints are attached to the core as an immutable list.
+
+*/
+
+import {PointerValue, IntegralValue} from './value';
+import {pointerType, arrayType} from './type';
+import {findLocalDeclaration} from './scope';
+
+/* Adds a breakpoint on node and returns the updated core.  A breakpoint on
+   a function declaration is set on the function's body. */
+export const addBreakpoint = function (core, node, condition) {
+  if (node[0] === 'FunctionDecl') {
+    node = node[2][2];
+  }
+  const breakpoint = {node, condition};
+  return {...core, breakpoints: core.breakpoints.set(node, breakpoint)};
+};
+
+export const removeBreakpoint = function (core, node) {
+  if (node[0] === 'FunctionDecl') {
+    node = node[2][2];
+  }
+  return {...core, breakpoints: core.breakpoints.delete(node)};
+};
+
+export const clearBreakpoints = function (core) {
+  return {...core, breakpoints: core.breakpoints.clear()};
+};
+
+/* Adds a watchpoint and returns the updated core.  The watched location is
+   either the name of a variable in the current scope, or an address range
+   {address, size}.  The mode is 'read', 'write' (the default) or 'access'.
+   The runner pauses after any load or store effect that matches a
+   watchpoint, reporting the old and new value at the watched location. */
+export const addWatchpoint = function (core, target, mode) {
+  let watchpoint;
+  if (typeof target === 'string') {
+    const ref = findLocalDeclaration(core.scope, target) || core.globalMap[target];
+    if (!(ref instanceof PointerValue)) {
+      throw new Error(`cannot watch ${target}`);
+    }
+    const {address, type: {pointee: {size}}} = ref;
+    watchpoint = {name: target, ref, address, size};
+  } else {
+    const {address, size} = target;
+    watchpoint = {address, size};
+  }
+  watchpoint.mode = mode || 'write';
+  return {...core, watchpoints: core.watchpoints.push(watchpoint)};
+};
+
+export const removeWatchpoint = function (core, watchpoint) {
+  return {...core, watchpoints: core.watchpoints.filter(wp => wp !== watchpoint)};
+};
+
+/* Returns the first watchpoint matched by a load or store effect. */
+export const findWatchpoint = function (core, effect) {
+  const [name, ref] = effect;
+  if (name !== 'load' && name !== 'store') {
+    return undefined;
+  }
+  const mode = name === 'load' ? 'read' : 'write';
+  const start = ref.address;
+  const end = start + ref.type.pointee.size;
+  return core.watchpoints.find(function (watchpoint) {
+    return (watchpoint.mode === mode || watchpoint.mode === 'access') &&
+      start < watchpoint.address + watchpoint.size && watchpoint.address < end;
+  });
+};
+
+/* Returns the first write (or access) watchpoint whose bytes differ between
+   memory and core.memory. */
+export const findChangedWatchpoint = function (core, memory) {
+  return core.watchpoints.find(function (watchpoint) {
+    if (watchpoint.mode === 'read') {
+      return false;
+    }
+    for (let offset = 0; offset < watchpoint.size; offset += 1) {
+      const address = watchpoint.address + offset;
+      if (memory.get(address) !== core.memory.get(address)) {
+        return true;
+      }
+    }
+    return false;
+  });
+};
+
+/* Returns a reference to the watched location, the watched variable or
+   else the watched bytes. */
+export const watchedRef = function (core, watchpoint) {
+  if (watchpoint.ref) {
+    return watchpoint.ref;
+  }
+  const {builtinTypes} = core.target;
+  const count = new IntegralValue(builtinTypes['unsigned int'], watchpoint.size);
+  return new PointerValue(pointerType(arrayType(builtinTypes['unsigned char'], count)), watchpoint.address);
+};
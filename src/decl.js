@@ -1,24 +1,30 @@
 
-import {pointerType, arrayType, builtinTypes} from './type';
+import {pointerType, arrayType} from './type';
 import {PointerValue, ArrayValue, RecordValue, IntegralValue, zeroAtType} from './value';
 import {readValue} from './memory';
 
 export const finalizeVarDecl = function (core, type, init) {
-  if (init && type.kind === 'array') {
+  if (init === null) {
+    /* Without an initializer, the variable is left uninitialized (or
+       zero-initialized if it has static storage). */
+    return {type, init};
+  }
+  if (type.kind === 'array') {
     /* Resolve array dimensions using the initialization list. */
     const dims = arraySize(init);
-    type = resolveIncompleteArrayType(type, dims);
+    type = resolveIncompleteArrayType(core, type, dims);
   }
   return {type, init: buildInitValue(core, type, init)};
 };
 
-function resolveIncompleteArrayType (type, dims) {
+function resolveIncompleteArrayType (core, type, dims) {
+  const sizeType = core.target.builtinTypes['unsigned int'];
   function resolve (type, rank) {
     if (rank === dims.length) {
       return type;
     } else {
       const elemType = resolve(type.elem, rank + 1);
-      const elemCount = new IntegralValue(builtinTypes['unsigned int'], type.count || dims[rank]);
+      const elemCount = new IntegralValue(sizeType, type.count || dims[rank]);
       return arrayType(elemType, elemCount);
     }
   }
@@ -77,7 +83,8 @@ function buildArrayInitValue (core, type, init) {
 function buildRecordInitValue (core, type, init) {
   const {fields, fieldMap} = type;
   const props = {};
-  const fieldCount = fields.length;
+  // A union is initialized through its first field, which becomes active.
+  const fieldCount = type.union ? Math.min(1, fields.length) : fields.length;
   for (let fieldPos = 0; fieldPos < fieldCount; fieldPos += 1) {
     const fieldInit = init && init[fieldPos];
     if (fieldInit) {
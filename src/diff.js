@@ -0,0 +1,138 @@
+/*
+
+diffCores(before, after) describes what changed between two cores, for
+example between two points in an execution history:
+
+  {
+    variables: [{name, scope, ref, ranges, oldValue, newValue}],
+    bytes: [{address, size}],
+    pushedScopes: [scope],
+    poppedScopes: [scope],
+    control: {before, after}
+  }
+
+Changed bytes are grouped by the global or local variable they belong to
+(scope is null for globals), ranges lists the changed {address, size}
+ranges in the variable.  Changed bytes outside of any variable (in the heap,
+for example) are listed in bytes.
+Scopes are listed from the outermost to the innermost.  The control is
+undefined if it did not change.
+
+*/
+
+import {PointerValue} from './value';
+import {readValue} from './memory';
+import {diffPages} from './pages';
+
+export const diffCores = function (before, after) {
+  const {pushedScopes, poppedScopes} = diffScopes(before.scope, after.scope);
+  // Variables in popped scopes still own their (now released) memory.
+  const variables = listVariables(after, after.scope);
+  for (let scope of poppedScopes) {
+    if (scope.kind === 'variable') {
+      variables.push(scopeVariable(scope));
+    }
+  }
+  variables.sort((v1, v2) => v1.address - v2.address);
+  const {groups, bytes} = groupRanges(diffPages(before.memory, after.memory), variables);
+  const diff = {
+    variables: groups.map(function ({variable, ranges}) {
+      const {name, scope, ref} = variable;
+      return {
+        name, scope, ref, ranges,
+        oldValue: readVariable(before, ref),
+        newValue: readVariable(after, ref)
+      };
+    }),
+    bytes,
+    pushedScopes,
+    poppedScopes
+  };
+  if (before.control !== after.control) {
+    diff.control = {before: before.control, after: after.control};
+  }
+  return diff;
+};
+
+/* Scopes form persistent linked lists, the scopes pushed and popped are
+   those above the innermost scope shared by both lists. */
+const diffScopes = function (beforeScope, afterScope) {
+  const beforeScopes = new Set();
+  for (let scope = beforeScope; scope; scope = scope.parent) {
+    beforeScopes.add(scope);
+  }
+  const pushedScopes = [];
+  let common = afterScope;
+  while (common && !beforeScopes.has(common)) {
+    pushedScopes.unshift(common);
+    common = common.parent;
+  }
+  const poppedScopes = [];
+  for (let scope = beforeScope; scope !== common; scope = scope.parent) {
+    poppedScopes.unshift(scope);
+  }
+  return {pushedScopes, poppedScopes};
+};
+
+/* Lists the global variables and the local variables of all active scopes,
+   as {name, scope, ref, address, size}. */
+const listVariables = function (core, scope) {
+  const variables = [];
+  Object.keys(core.globalMap).forEach(function (name) {
+    const ref = core.globalMap[name];
+    if (ref instanceof PointerValue) {
+      variables.push({name, scope: null, ref, address: ref.address, size: ref.type.pointee.size});
+    }
+  });
+  for (; scope; scope = scope.parent) {
+    if (scope.kind === 'variable') {
+      variables.push(scopeVariable(scope));
+    }
+  }
+  return variables;
+};
+
+const scopeVariable = function (scope) {
+  const {name, ref} = scope;
+  return {name, scope, ref, address: ref.address, size: ref.type.pointee.size};
+};
+
+/* Splits the changed ranges (sorted by address) at the boundaries of the
+   variables (sorted by address).  Returns the groups of ranges that fall in
+   a variable, and the ranges that do not. */
+const groupRanges = function (ranges, variables) {
+  const groupMap = new Map();
+  const bytes = [];
+  for (let range of ranges) {
+    let address = range.address;
+    const endAddress = range.address + range.size;
+    while (address < endAddress) {
+      const variable = variables.find(v => v.address <= address && address < v.address + v.size);
+      if (variable) {
+        const pieceEnd = Math.min(endAddress, variable.address + variable.size);
+        if (!groupMap.has(variable)) {
+          groupMap.set(variable, []);
+        }
+        groupMap.get(variable).push({address, size: pieceEnd - address});
+        address = pieceEnd;
+      } else {
+        const next = variables.find(v => v.address > address);
+        const pieceEnd = next ? Math.min(endAddress, next.address) : endAddress;
+        bytes.push({address, size: pieceEnd - address});
+        address = pieceEnd;
+      }
+    }
+  }
+  const groups = [];
+  groupMap.forEach(function (ranges, variable) {
+    groups.push({variable, ranges});
+  });
+  return {groups, bytes};
+};
+
+const readVariable = function (core, ref) {
+  if (ref.address + ref.type.pointee.size > core.memory.size) {
+    return undefined;
+  }
+  return readValue(core, ref);
+};
@@ -1,8 +1,12 @@
 
-import {writeValue} from './memory';
-import {builtinTypes, pointerType, arrayType} from './type';
+import {writeValue, markInitialized, accessedBytes, isRefInitialized} from './memory';
+import {pointerType, arrayType, alignAddress} from './type';
 import {IntegralValue, PointerValue, ArrayValue, FunctionValue, BuiltinValue, zeroAtType} from './value';
 import {findClosestBlockScope, findClosestFunctionScope} from './scope';
+import {runtimeError} from './errors';
+import {makeObject, checkAccess, recordProvenance} from './objects';
+import {heapEnd, findLeaks} from './heap';
+import {checkSegmentAccess} from './segments';
 
 export default {
   /* These effects only mutate 'core'. */
@@ -12,14 +16,22 @@ export default {
   doStore,
   doEnter,
   doLeave,
+  doUnwind,
   doCall,
   doReturn,
   doVardecl,
+  doEnumdecl,
+  doConstdecl,
+  doTypedef,
+  doBuiltin,
   /* The 'declare' effects also mutate these elements of 'core':
-     globalMap, recordDecls, functions
+     globalMap, recordDecls, enumDecls, typedefDecls, functions
   */
   declareGlobalVar,
   declareRecord,
+  declareEnum,
+  declareConstant,
+  declareTypedef,
   declareFunction
 };
 
@@ -35,11 +47,44 @@ function doResult (core, result) {
 };
 
 function doLoad (core, ref) {
+  const size = ref.type.pointee.size;
+  checkSegmentAccess(core, ref, 'read');
+  checkAccess(core, ref, size);
+  if (core.uninitialized && !isRefInitialized(core.shadow, ref)) {
+    reportUninitializedRead(core, ref);
+  }
   core.memoryLog = core.memoryLog.push(['load', ref]);
 };
 
+/* Depending on core.uninitialized ('warn' or 'error'), adds a warning to
+   core.warnings or throws an error. */
+function reportUninitializedRead (core, ref) {
+  const {object, address} = ref;
+  const what = object ? object.name : `0x${address.toString(16)}`;
+  const error = runtimeError('uninitialized read', `read of uninitialized ${what}`,
+    {name: object && object.name, address});
+  if (core.uninitialized === 'error') {
+    throw error;
+  }
+  core.warnings = core.warnings.push(error);
+}
+
 function doStore (core, ref, value) {
-  core.memory = writeValue(core.memory, ref, value);
+  checkSegmentAccess(core, ref, 'write');
+  if (core.checked) {
+    checkAccess(core, ref, value.type.size);
+    if (!ref.bitField) {
+      // The storage unit of a bit-field can overlap other fields.
+      core.provenance = recordProvenance(core.provenance, ref.address, value);
+    }
+  }
+  core.memory = writeValue(core.memory, ref, value, core.target.littleEndian);
+  if (ref.bitField) {
+    const {address, size} = accessedBytes(ref);
+    core.shadow = markInitialized(core.shadow, address, size, true);
+  } else {
+    core.shadow = markInitialized(core.shadow, ref.address, value.type.size, true);
+  }
   core.memoryLog = core.memoryLog.push(['store', ref, value]);
 };
 
@@ -57,40 +102,54 @@ function doEnter (core, blockNode) {
 function doLeave (core, blockNode) {
   const scope = findClosestBlockScope(core.scope, blockNode);
   if (!scope) {
-    console.log('stack underflow', core.scope, blockNode);
-    throw new Error('stack underflow');
+    throw runtimeError('stack underflow', 'stack underflow: leaving a block that was not entered');
   }
   core.scope = scope.parent;
 };
 
+/* Pops the scopes above scope, which is in the current block. */
+function doUnwind (core, scope) {
+  core.scope = scope;
+};
+
 function doCall (core, cont, values) {
   /* values is [func, args...] */
   const parentScope = core.scope;
+  const callerScope = findClosestFunctionScope(parentScope);
+  const depth = callerScope ? callerScope.depth + 1 : 1;
+  if (core.maxCallDepth !== undefined && depth > core.maxCallDepth) {
+    throw stackOverflow(values[0].name, depth,
+      `maximum call depth ${core.maxCallDepth} exceeded`);
+  }
   core.scope = {
     parent: parentScope,
     key: parentScope.key + 1,
     limit: parentScope.limit,
     kind: 'function',
     cont,
-    values
+    values,
+    depth
   };
 };
 
 function doReturn (core, result) {
   const scope = findClosestFunctionScope(core.scope);
   if (!scope) {
-    console.log('stack underflow', core.scope, result);
-    throw new Error('stack underflow');
+    throw runtimeError('stack underflow', 'stack underflow: return outside of a function');
   }
   // Pop all scopes up to and including the function's scope.
   core.scope = scope.parent;
+  if (!findClosestFunctionScope(core.scope)) {
+    // The program exits, report the heap blocks that were not freed.
+    core.warnings = core.warnings.concat(findLeaks(core));
+  }
   // Transfer control to the caller's continuation…
   core.control = scope.cont;
   // passing the return value to the caller (handling the special case for
   // control leaving the 'main' function without a return statement, where
   // C99 defines the result as being 0).
   if (!result && scope.cont.values[0].name === 'main') {
-    core.result = new IntegralValue(builtinTypes['int'], 0);
+    core.result = new IntegralValue(core.target.builtinTypes['int'], 0);
   } else {
     core.result = result;
   }
@@ -98,41 +157,116 @@ function doReturn (core, result) {
   core.direction = 'out';
 };
 
-function doVardecl (core, name, type, init) {
+/* decl is the declaration node, which a goto uses to tell the variables
+   declared before its label from those declared after it. */
+function doVardecl (core, name, type, init, decl) {
   const parentScope = core.scope;
   const refType = pointerType(type);
   let limit = parentScope.limit;
-  let ref, doInit = !!init;
+  let ref, object, doInit = !!init;
   if (doInit) {
     if (type.kind === 'array' && init.type.kind === 'pointer') {
       // When an array variable is initialized with a ref (as opposed to an
       // array value), no stack allocation or initialization occurs.
-      ref = new PointerValue(refType, init.address);
+      ref = new PointerValue(refType, init.address, init.object);
       doInit = false;
     }
   }
   if (!ref) {
     // Allocate memory on stack and build a ref to that location.
-    limit -= type.size;
-    ref = new PointerValue(refType, limit);
+    // The stack grows down, round the address down to the type's alignment.
+    limit = Math.floor((limit - type.size) / type.align) * type.align;
+    if (limit < heapEnd(core)) {
+      // The stack would grow into the heap or the static data.
+      const funcScope = findClosestFunctionScope(parentScope);
+      throw stackOverflow(funcScope && funcScope.values[0].name,
+        funcScope ? funcScope.depth : 0, `cannot allocate ${name}`);
+    }
+    // The variable's object records the function it belongs to, and (below)
+    // the scope that delimits its lifetime.
+    const funcScope = findClosestFunctionScope(parentScope);
+    object = makeObject('local', name, limit, type);
+    object.function = funcScope && funcScope.values[0].name;
+    ref = new PointerValue(refType, limit, object);
+    // The new variable is uninitialized until it is stored to.
+    core.shadow = markInitialized(core.shadow, limit, type.size, false);
   }
   core.scope = {
     parent: parentScope,
     key: parentScope.key + 1,
     limit: limit,
     kind: 'variable',
-    name, type, ref
+    name, type, ref, decl
   };
+  if (object) {
+    object.scope = core.scope;
+  }
   if (doInit) {
     doStore(core, ref, init);
   }
 };
 
+/* Local enumerations, their constants and typedefs are scoped like
+   variables. */
+function doEnumdecl (core, name, type, decl) {
+  const parentScope = core.scope;
+  core.scope = {
+    parent: parentScope,
+    key: parentScope.key + 1,
+    limit: parentScope.limit,
+    kind: 'enum',
+    name, type, decl
+  };
+};
+
+function doConstdecl (core, name, value, decl) {
+  const parentScope = core.scope;
+  core.scope = {
+    parent: parentScope,
+    key: parentScope.key + 1,
+    limit: parentScope.limit,
+    kind: 'constant',
+    name, value, decl
+  };
+};
+
+function doTypedef (core, name, type, decl) {
+  const parentScope = core.scope;
+  core.scope = {
+    parent: parentScope,
+    key: parentScope.key + 1,
+    limit: parentScope.limit,
+    kind: 'typedef',
+    name, type, decl
+  };
+};
+
+function doBuiltin (core, name, ...args) {
+  const func = core.builtins[name];
+  if (!func) {
+    throw {name: 'error', details: `unknown builtin ${name}`};
+  }
+  doResult(core, func(core, ...args));
+};
+
+function stackOverflow (funcName, depth, reason) {
+  return runtimeError('stack overflow',
+    `stack overflow in ${funcName} at call depth ${depth}: ${reason}`,
+    {function: funcName, depth});
+}
+
 function declareGlobalVar (core, name, type, init) {
-  const address = core.heapStart;
-  core.heapStart += type.size;  // XXX add alignment padding
-  const ref = new PointerValue(pointerType(type), address);
-  core.memory = writeValue(core.memory, ref, init);
+  const address = alignAddress(core.heapStart, type.align);
+  core.heapStart = address + type.size;
+  const ref = new PointerValue(pointerType(type), address, makeObject('global', name, address, type));
+  if (init) {
+    if (core.checked) {
+      core.provenance = recordProvenance(core.provenance, address, init);
+    }
+    core.memory = writeValue(core.memory, ref, init, core.target.littleEndian);
+  }
+  // Variables with static storage are initialized to zero by default.
+  core.shadow = markInitialized(core.shadow, address, type.size, true);
   core.globalMap[name] = ref;
 };
 
@@ -140,6 +274,18 @@ function declareRecord (core, name, type) {
   core.recordDecls.set(name, type);
 };
 
+function declareEnum (core, name, type) {
+  core.enumDecls.set(name, type);
+};
+
+function declareConstant (core, name, value) {
+  core.globalMap[name] = value;
+};
+
+function declareTypedef (core, name, type) {
+  core.typedefDecls.set(name, type);
+};
+
 /* XXX check if decl can be omitted, it is only used because directives are
    lifted from the function body-block into the fundecl node "to allow
    directives to inspect arguments". */
@@ -0,0 +1,7 @@
+/* Builds the exception thrown when the evaluated program performs an
+   invalid operation.  Like the errors returned by step functions, it has
+   name 'error' and a human-readable 'details' message; 'kind' identifies
+   the error and data holds its specific properties. */
+export const runtimeError = function (kind, details, data) {
+  return {name: 'error', kind, details, ...data};
+};
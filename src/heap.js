@@ -0,0 +1,140 @@
+/*
+
+The heap occupies the memory between the static data (which ends at
+core.heapStart) and the stack.  core.heap is an immutable list of the live
+heap blocks ordered by address, each block being an object (see objects.js)
+of kind 'heap'.  core.freed maps the address of each freed block (until it
+is reused) to its object, to tell double frees from invalid frees.
+
+*/
+
+import {pointerType, arrayType, alignAddress} from './type';
+import {IntegralValue, PointerValue} from './value';
+import {fillBytes, copyBytes, markInitialized} from './memory';
+import {makeObject} from './objects';
+import {runtimeError} from './errors';
+
+const blockAlignment = 8;
+
+/* Returns the address of the end of the heap, below which the stack cannot
+   grow. */
+export const heapEnd = function (core) {
+  const lastBlock = core.heap.last();
+  return lastBlock ? lastBlock.address + lastBlock.size : core.heapStart;
+};
+
+/* Returns the live heap blocks, ordered by address. */
+export const liveAllocations = function (core) {
+  return core.heap.toArray();
+};
+
+export const isLiveBlock = function (core, object) {
+  return core.heap.includes(object);
+};
+
+/* Allocates a block of the given size using a first-fit strategy, and
+   returns its object, or null if there is no room between the heap and the
+   stack. */
+const allocateBlock = function (core, size) {
+  const stackLimit = core.scope.limit;
+  let address = alignAddress(core.heapStart, blockAlignment);
+  let index = 0;
+  for (let block of core.heap) {
+    if (address + size <= block.address) {
+      break;
+    }
+    address = alignAddress(block.address + block.size, blockAlignment);
+    index += 1;
+  }
+  if (address + size > stackLimit) {
+    return null;
+  }
+  const name = `heap block 0x${address.toString(16)}`;
+  const {builtinTypes} = core.target;
+  const type = arrayType(builtinTypes['unsigned char'], new IntegralValue(builtinTypes['unsigned int'], size));
+  const object = makeObject('heap', name, address, type);
+  core.heap = core.heap.insert(index, object);
+  core.freed = core.freed.filter(block => block.address < address || block.address >= address + size);
+  return object;
+};
+
+const releaseBlock = function (core, ref, funcName) {
+  const object = core.heap.find(block => block.address === ref.address);
+  if (!object) {
+    const address = `0x${ref.address.toString(16)}`;
+    if (core.freed.has(ref.address)) {
+      throw runtimeError('double free', `${funcName}: double free of ${address}`, {address: ref.address});
+    }
+    throw runtimeError('invalid free', `${funcName}: ${address} is not a heap block`, {address: ref.address});
+  }
+  core.heap = core.heap.delete(core.heap.indexOf(object));
+  core.freed = core.freed.set(object.address, object);
+  return object;
+};
+
+const blockPointer = function (core, object) {
+  const type = pointerType(core.target.builtinTypes['void']);
+  return object ? new PointerValue(type, object.address, object) : new PointerValue(type, 0);
+};
+
+function malloc (core, size) {
+  const object = size.toInteger() === 0 ? null : allocateBlock(core, size.toInteger());
+  if (object) {
+    core.shadow = markInitialized(core.shadow, object.address, object.size, false);
+  }
+  return blockPointer(core, object);
+}
+
+function calloc (core, count, size) {
+  const byteCount = count.toInteger() * size.toInteger();
+  const object = byteCount === 0 ? null : allocateBlock(core, byteCount);
+  if (object) {
+    core.memory = fillBytes(core.memory, object.address, object.size, 0);
+    core.shadow = markInitialized(core.shadow, object.address, object.size, true);
+  }
+  return blockPointer(core, object);
+}
+
+function realloc (core, ref, size) {
+  if (ref.address === 0) {
+    return malloc(core, size);
+  }
+  const oldObject = releaseBlock(core, ref, 'realloc');
+  const newSize = size.toInteger();
+  if (newSize === 0) {
+    return blockPointer(core, null);
+  }
+  const object = allocateBlock(core, newSize);
+  if (!object) {
+    // The original block is left untouched.
+    core.heap = core.heap.insert(core.heap.findLastIndex(block => block.address < oldObject.address) + 1, oldObject);
+    core.freed = core.freed.delete(oldObject.address);
+    return blockPointer(core, null);
+  }
+  const copySize = Math.min(oldObject.size, newSize);
+  core.memory = copyBytes(core.memory, oldObject.address, object.address, copySize);
+  if (core.shadow) {
+    core.shadow = copyBytes(core.shadow, oldObject.address, object.address, copySize);
+  }
+  if (newSize > copySize) {
+    core.shadow = markInitialized(core.shadow, object.address + copySize, newSize - copySize, false);
+  }
+  return blockPointer(core, object);
+}
+
+function free (core, ref) {
+  if (ref.address !== 0) {
+    releaseBlock(core, ref, 'free');
+  }
+}
+
+export const heapBuiltins = {malloc, calloc, realloc, free};
+
+/* Returns a 'memory leak' warning for each live heap block. */
+export const findLeaks = function (core) {
+  return core.heap.map(function (block) {
+    return runtimeError('memory leak',
+      `${block.size} bytes allocated at 0x${block.address.toString(16)} were not freed`,
+      {address: block.address, size: block.size});
+  });
+};
@@ -3,14 +3,30 @@
 core: {
   globalMap,
   recordDecls,
+  enumDecls,
+  typedefDecls,
   functions,
   memory,
+  shadow,
   memoryLog,
   heapStart,
+  rodataEnd,
+  target,
+  heap,
+  freed,
+  builtins,
+  breakpoints,
+  watchpoints,
   scope,
   control,
   result,
-  direction
+  direction,
+  maxCallDepth,
+  checked,
+  provenance,
+  uninitialized,
+  warnings,
+  ubChecks
 }
 
 */
@@ -18,41 +34,112 @@ core: {
 
 import Immutable from 'immutable';
 
-import {builtinTypes, pointerType, closeTypeDecls} from './type';
+import {builtinTypes, pointerType, closeTypeDecls, getTarget} from './type';
 import {PointerValue, stringValue, BuiltinValue, FunctionValue} from './value';
-import {allocate, readValue, writeValue, readString} from './memory';
+import {allocate, readValue, writeValue, readString, markInitialized} from './memory';
 import {step} from './step';
 import effects from './effects';
+import {applyEffects} from './runner';
+import {makeObject} from './objects';
+import {heapBuiltins} from './heap';
+import {nullPageSize} from './segments';
 
-export {functionType, pointerType, arrayType, decayedType, builtinTypes} from './type';
+export {
+  functionType, pointerType, arrayType, decayedType, builtinTypes, targets, findPadding} from './type';
 export {
   IntegralValue, FloatingValue, PointerValue, stringValue, ArrayValue, makeRef} from './value';
-export {readValue, writeValue, readString} from './memory';
+export {readValue, writeValue, readString, readFields, isInitialized, findPaddingBytes} from './memory';
 export {step} from './step';
 export {findClosestFunctionScope} from './scope';
 export {default as effects} from './effects';
+export {liveAllocations} from './heap';
+export {diffCores} from './diff';
+export {getMemoryMap, findSegment, nullPageSize} from './segments';
+export {diffPages} from './pages';
+export {
+  addBreakpoint, removeBreakpoint, clearBreakpoints,
+  addWatchpoint, removeWatchpoint} from './breakpoints';
+export {
+  run, defaultHandlers, stepExpr, stepInto, stepOver, stepOut, runToNode, evalExpr,
+  outOfCurrentStmt, intoNextStmt, intoNextExpr, notInNestedCall} from './runner';
 
+/* The void pointer type and null pointer of the default target, use
+   nullPointerOf for the null pointer of a core's target. */
 export const voidPtr = pointerType(builtinTypes['void']);
 export const nullPointer = new PointerValue(voidPtr, 0);
 
-export function makeCore (memorySize) {
+export const nullPointerOf = function (core) {
+  return new PointerValue(pointerType(core.target.builtinTypes['void']), 0);
+};
+
+/* options.maxCallDepth optionally limits the depth of nested calls.
+   options.checked enables the checked mode (see objects.js).
+   options.uninitialized ('warn' or 'error') enables the reporting of loads
+   from uninitialized memory.
+   options.ubChecks enables the detection of undefined behaviour in
+   arithmetic (see value.js).
+   options.target names the target profile (see targets in type.js) which
+   determines the byte order and the sizes of long and pointers, it defaults
+   to 'ilp32be'. */
+export function makeCore (memorySize, options) {
   if (memorySize === undefined) {
     memorySize = 0x10000;
   }
+  options = options || {};
   const globalMap = {};
   const recordDecls = new Map();
+  const enumDecls = new Map();
+  const typedefDecls = new Map();
   const functions = [null];
   const memory = allocate(memorySize);
+  // The shadow memory is only needed to check for uninitialized reads.
+  const shadow = options.uninitialized ? allocate(memorySize) : undefined;
   const memoryLog = Immutable.List();
-  const heapStart = 0x100;
+  // String literals (rodata) and then global variables (data) are placed
+  // after the null page, see segments.js.
+  const heapStart = nullPageSize;
+  const rodataEnd = nullPageSize;
+  const target = getTarget(options.target);
   const scope = {key: 0, limit: memorySize};
   const literals = new WeakMap();
-  return {globalMap, recordDecls, functions, memory, memoryLog, heapStart, scope, literals};
+  const builtins = {...heapBuiltins};
+  const heap = Immutable.List();
+  const freed = Immutable.Map();
+  const breakpoints = Immutable.Map();
+  const watchpoints = Immutable.List();
+  const {maxCallDepth} = options;
+  const checked = !!options.checked;
+  const provenance = Immutable.Map();
+  const {uninitialized} = options;
+  const warnings = Immutable.List();
+  const ubChecks = !!options.ubChecks;
+  return {
+    globalMap, recordDecls, enumDecls, typedefDecls, functions, memory, shadow, memoryLog,
+    heapStart, rodataEnd, target, heap, freed, builtins, breakpoints, watchpoints, scope,
+    literals, maxCallDepth, checked, provenance, uninitialized, warnings, ubChecks};
+};
+
+/* Builds a core from options.decls and sets it up to call 'main'.
+   options.builtins maps the names of builtin functions to their
+   implementation, a function of (core, ...args) returning the result; they
+   are added to (or replace) the heap builtins malloc, calloc, realloc and
+   free.
+   The other options are passed to makeCore. */
+export function start (options) {
+  const core = makeCore(options.memorySize, options);
+  Object.assign(core.builtins, options.builtins);
+  execDecls(core, options.decls);
+  setupCall(core, 'main');
+  return core;
 };
 
 export function execDecls (core, decls) {
+  // Copy all string literals first so that they form the rodata segment.
   decls.forEach(function (declNode) {
     copyNodeStrings(core, declNode);
+  });
+  core.rodataEnd = core.heapStart;
+  decls.forEach(function (declNode) {
     stepThroughNode(core, declNode, declHandlers);
   });
   closeTypeDecls(core);
@@ -60,14 +147,7 @@ export function execDecls (core, decls) {
 const stepThroughNode = function (core, node, handlers) {
   core.control = {node, step: 0};
   while (core.control) {
-    const effects = step(core);
-    for (var effect of effects) {
-      var name = effect[0];
-      if (!(name in handlers)) {
-        throw new Error(`unhandled core effect ${name}`);
-      }
-      handlers[name](core, ...effect.slice(1));
-    }
+    applyEffects(core, step(core), handlers);
   }
   return core.result;
 };
@@ -77,6 +157,9 @@ const declHandlers = {
   result:  effects.doResult,
   vardecl: effects.declareGlobalVar,
   recdecl: effects.declareRecord,
+  enumdecl: effects.declareEnum,
+  constdecl: effects.declareConstant,
+  typedef: effects.declareTypedef,
   fundecl: effects.declareFunction
 };
 
@@ -95,9 +178,12 @@ function copyNodeStrings (core, node) {
   /* Copy string literals to memory. */
   forEachNode(node, function (node) {
     if (node[0] === 'StringLiteral') {
-      const value = stringValue(node[1].value);
-      const ref = new PointerValue(value.type, core.heapStart);
-      core.memory = writeValue(core.memory, ref, value);
+      const value = stringValue(node[1].value, core.target);
+      const name = JSON.stringify(node[1].value);
+      const ref = new PointerValue(value.type, core.heapStart,
+        makeObject('literal', name, core.heapStart, value.type));
+      core.memory = writeValue(core.memory, ref, value, core.target.littleEndian);
+      core.shadow = markInitialized(core.shadow, core.heapStart, value.type.size, true);
       core.heapStart += value.type.size;
       core.literals.set(node, ref);
     }
@@ -119,25 +205,3 @@ export const forEachNode = function (node, callback) {
     });
   }
 };
-
-export const outOfCurrentStmt = function (core) {
-  return /down|out/.test(core.direction) && core.control.seq === 'stmt';
-};
-
-export const intoNextStmt = function (core) {
-  return !/^(CompoundStmt|IfStmt|WhileStmt|DoStmt|ForStmt)$/.test(core.control.node[0]);
-};
-
-export const intoNextExpr = function (core) {
-  return /down|out/.test(core.direction) && core.control.seq;
-};
-
-export const notInNestedCall = function (scope, refScope) {
-  while (scope.key >= refScope.key) {
-    if (scope.kind === 'function') {
-      return false;
-    }
-    scope = scope.parent;
-  }
-  return true;
-};
@@ -1,39 +1,190 @@
 
 import Immutable from 'immutable';
-import {packValue, unpackValue, badFunction} from './value';
+import {allocatePages} from './pages';
+import {
+  packValue, unpackValue, packBitField, unpackBitField, PointerValue, FunctionValue,
+  BuiltinValue} from './value';
 import {TextDecoder} from 'text-encoding-utf-8';
+import {findPadding, pointerType} from './type';
 
-const littleEndian = false;
+/* Memory (and shadow memory) is a PagedMemory, see pages.js. */
+
+/* Values up to 8 bytes are packed and unpacked through this scratch buffer,
+   to avoid allocating a buffer for each load and store. */
+const scratchBuffer = new ArrayBuffer(8);
+const scratchView = new DataView(scratchBuffer);
+const scratchBytes = new Uint8Array(scratchBuffer);
+
+const getBuffer = function (nbytes) {
+  if (nbytes <= scratchBuffer.byteLength) {
+    return {view: scratchView, bytes: scratchBytes};
+  }
+  const buffer = new ArrayBuffer(nbytes);
+  return {view: new DataView(buffer), bytes: new Uint8Array(buffer)};
+};
 
 export const allocate = function (size) {
-  return Immutable.List(Array(size).fill(0));
+  return allocatePages(size);
+};
+
+/* The shadow memory has the same layout as the memory, and holds 1 for each
+   byte that was written since it was allocated, 0 otherwise.  It is only
+   kept when uninitialized reads are checked, otherwise core.shadow is
+   undefined and markInitialized leaves it so. */
+export const markInitialized = function (shadow, address, size, initialized) {
+  if (!shadow) {
+    return shadow;
+  }
+  return shadow.fill(address, size, initialized ? 1 : 0);
+};
+
+export const isInitialized = function (shadow, address, size) {
+  for (let offset = 0; offset < size; offset += 1) {
+    if (shadow.get(address + offset) === 0) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/* Like isInitialized for an object of the given type, ignoring the padding
+   bytes (which are never written by field stores). */
+export const isObjectInitialized = function (shadow, address, type) {
+  if (type.kind === 'record' && type.union && type.fields.length !== 0) {
+    // A union is initialized if its active field is, any of them can be.
+    return type.fields.some(name =>
+      isObjectInitialized(shadow, address, type.fieldMap[name].type));
+  }
+  let offset = 0;
+  for (let range of findPadding(type)) {
+    if (!isInitialized(shadow, address + offset, range.offset - offset)) {
+      return false;
+    }
+    offset = range.offset + range.size;
+  }
+  return isInitialized(shadow, address + offset, type.size - offset);
+};
+
+/* Returns the {address, size} of the bytes accessed through ref, which are
+   those holding the bits of a bit-field (ref.bitField is set by member
+   expressions, see layoutRecord in type.js) or the whole object. */
+export const accessedBytes = function (ref) {
+  const {bitField} = ref;
+  if (bitField) {
+    const start = bitField.offset >> 3;
+    const end = (bitField.offset + bitField.width + 7) >> 3;
+    return {address: ref.address + start, size: end - start};
+  }
+  return {address: ref.address, size: ref.type.pointee.size};
 };
 
-export const writeValue = function (memory, ref, value) {
+export const isRefInitialized = function (shadow, ref) {
+  if (ref.bitField) {
+    const {address, size} = accessedBytes(ref);
+    return isInitialized(shadow, address, size);
+  }
+  return isObjectInitialized(shadow, ref.address, ref.type.pointee);
+};
+
+/* Returns the set of the addresses of the padding bytes in global and live
+   local variables, so that memory views can show them as padding. */
+export const findPaddingBytes = function (core) {
+  const refs = [];
+  Object.keys(core.globalMap).forEach(function (name) {
+    const value = core.globalMap[name];
+    if (value instanceof PointerValue) {
+      refs.push(value);
+    }
+  });
+  for (let scope = core.scope; scope; scope = scope.parent) {
+    if (scope.kind === 'variable') {
+      refs.push(scope.ref);
+    }
+  }
+  return Immutable.Set().withMutations(function (addresses) {
+    for (let ref of refs) {
+      for (let range of findPadding(ref.type.pointee)) {
+        for (let offset = 0; offset < range.size; offset += 1) {
+          addresses.add(ref.address + range.offset + offset);
+        }
+      }
+    }
+  });
+};
+
+/* Byte order defaults to big-endian, pass the target's littleEndian flag. */
+export const writeValue = function (memory, ref, value, littleEndian = false) {
   if (value === undefined)
     return memory;  // XXX
   // XXX assert(ref instanceof PointerValue)
   // XXX assert(typeEquals(ref.type.pointee, value.type))
   const address = ref.address;
+  if (ref.bitField) {
+    // Store the bits of the field into its storage unit, leaving the other
+    // bits of the unit unchanged.
+    const nbytes = ref.type.pointee.size;
+    const {view, bytes} = getBuffer(nbytes);
+    bytes.fill(0, 0, nbytes);
+    memory.read(address, bytes, nbytes);
+    packBitField(view, 0, ref.bitField, value, littleEndian);
+    return memory.setBytes(address, bytes, nbytes);
+  }
   const nbytes = value.type.size;
-  const view = new DataView(new ArrayBuffer(nbytes));
+  const {view, bytes} = getBuffer(nbytes);
+  // Padding bytes are not written by packValue, clear them.
+  bytes.fill(0, 0, nbytes);
   packValue(view, 0, value, littleEndian);
-  for (let offset = 0; offset < nbytes; offset += 1) {
-    memory = memory.set(address + offset, view.getUint8(offset));
-  }
-  return memory;
+  return memory.setBytes(address, bytes, nbytes);
+};
+
+export const fillBytes = function (memory, address, size, byte) {
+  return memory.fill(address, size, byte);
+};
+
+/* Copies size bytes from source to target (both addresses), works with
+   memory and shadow memory alike. */
+export const copyBytes = function (memory, source, target, size) {
+  return memory.setBytes(target, memory.slice(source, source + size));
 };
 
 export const readValue = function (core, ref) {
   // XXX assert(ref instanceof PointerValue)
   const {memory} = core;
   const {type, address} = ref;
+  const littleEndian = !!(core.target && core.target.littleEndian);
   const nbytes = type.pointee.size;
-  const view = new DataView(new ArrayBuffer(nbytes));
-  for (let offset = 0; offset < nbytes; offset += 1) {
-    view.setUint8(offset, memory.get(address + offset));
+  const {view, bytes} = getBuffer(nbytes);
+  bytes.fill(0, 0, nbytes);
+  memory.read(address, bytes, nbytes);
+  const value = ref.bitField
+    ? unpackBitField(view, 0, type.pointee, ref.bitField, littleEndian)
+    : unpackValue(view, 0, type.pointee, littleEndian, core);
+  if (value instanceof PointerValue && core.provenance) {
+    // Restore the object a stored pointer was derived from.
+    value.object = core.provenance.get(address);
   }
-  return unpackValue(view, 0, type.pointee, littleEndian, core);
+  if (value instanceof FunctionValue || value instanceof BuiltinValue) {
+    // Function values are shared by all pointers to the function.
+    return value;
+  }
+  if (core.shadow && !isRefInitialized(core.shadow, ref)) {
+    // Flag values read (at least in part) from uninitialized bytes, so
+    // that they can be shown as such.
+    value.uninitialized = true;
+  }
+  return value;
+};
+
+/* Returns {name, ref, value} for each field of the record (struct or union)
+   that ref points to, so that memory views can show every interpretation of
+   the bytes of a union. */
+export const readFields = function (core, ref) {
+  const type = ref.type.pointee;
+  return type.fields.map(function (name) {
+    const {offset, type: fieldType} = type.fieldMap[name];
+    const fieldRef = new PointerValue(pointerType(fieldType), ref.address + offset, ref.object);
+    return {name, ref: fieldRef, value: readValue(core, fieldRef)};
+  });
 };
 
 export const strlen = function (memory, ref, maxBytes) {
@@ -0,0 +1,91 @@
+/*
+
+An object {kind, name, address, size, type} describes the extent of a
+variable ('local' or 'global'), a string literal ('literal') or a heap
+block ('heap').  The object of a local variable also has the scope that
+declares it and the name of the function it belongs to.  Pointers keep
+a reference to the object they were derived from, and in checked mode
+(core.checked) every load and store through a pointer is checked
+against the extent and the lifetime of that object.
+
+As pointer values lose their object when they are stored in memory, the
+checked mode also maintains core.provenance, which maps the address of
+each stored pointer to its object.
+
+*/
+
+import {PointerValue, ArrayValue, RecordValue} from './value';
+import {runtimeError} from './errors';
+
+export const makeObject = function (kind, name, address, type) {
+  return {kind, name, address, size: type.size, type};
+};
+
+/* Throws an error if the access of size bytes through ref falls outside
+   of the object ref was derived from, or if that object is a heap block
+   that was freed or a local variable whose scope was exited. */
+export const checkAccess = function (core, ref, size) {
+  const {object, address} = ref;
+  if (!core.checked || !object) {
+    return;
+  }
+  if (object.kind === 'heap' && !core.heap.includes(object)) {
+    throw runtimeError('use after free', `use of freed ${object.name}`,
+      {name: object.name, address});
+  }
+  if (object.kind === 'local' && !isScopeActive(core.scope, object.scope)) {
+    throw runtimeError('dangling pointer',
+      `dereference of a dangling pointer to ${object.name} (a local variable of ${object.function})`,
+      {name: object.name, function: object.function, address});
+  }
+  if (address >= object.address && address + size <= object.address + object.size) {
+    return;
+  }
+  const elemSize = size || 1;
+  const index = Math.floor((address - object.address) / elemSize);
+  const range = [0, Math.floor(object.size / elemSize) - 1];
+  throw runtimeError('out of bounds',
+    `out of bounds access to ${object.name}[${index}], valid range is [${range[0]}, ${range[1]}]`,
+    {name: object.name, index, range});
+};
+
+const isScopeActive = function (scope, target) {
+  while (scope && scope.key >= target.key) {
+    if (scope === target) {
+      return true;
+    }
+    scope = scope.parent;
+  }
+  return false;
+};
+
+/* Returns the provenance map updated for a store of value at address. */
+export const recordProvenance = function (provenance, address, value) {
+  return provenance.withMutations(function (provenance) {
+    const endAddress = address + value.type.size;
+    for (let byteAddress = address; byteAddress < endAddress; byteAddress += 1) {
+      provenance.delete(byteAddress);
+    }
+    setProvenance(provenance, address, value);
+  });
+};
+
+function setProvenance (provenance, address, value) {
+  if (value instanceof PointerValue) {
+    if (value.object) {
+      provenance.set(address, value.object);
+    }
+  } else if (value instanceof ArrayValue) {
+    const elemSize = value.type.elem.size;
+    value.elements.forEach(function (elem, index) {
+      setProvenance(provenance, address + index * elemSize, elem);
+    });
+  } else if (value instanceof RecordValue) {
+    const {type: {fields, fieldMap}, props} = value;
+    for (let name of fields) {
+      if (props[name]) {
+        setProvenance(provenance, address + fieldMap[name].offset, props[name]);
+      }
+    }
+  }
+}
@@ -0,0 +1,190 @@
+/*
+
+A paged memory is a persistent array of bytes.  It is split into fixed-size
+pages (typed arrays) which are shared between successive versions of the
+memory and copied on write: writing to a memory returns a new memory that
+shares all untouched pages with the old one, which is left unchanged.
+
+Pages are never mutated once a memory that refers to them is returned.
+
+Bytes outside the memory read as zero and writes to them are dropped.
+
+The page table has two levels: memory.table is an array of directories,
+each an array of dirSize pages.  A write copies the pages it touches, their
+directories and the table, leaving everything else shared.
+
+Pages are small (V8 allocates typed arrays of up to 64 bytes on its heap,
+which makes copying them cheap).
+
+*/
+
+const pageBits = 6;
+const pageSize = 1 << pageBits;
+const pageMask = pageSize - 1;
+const dirBits = 5;
+const dirSize = 1 << dirBits;
+const dirMask = dirSize - 1;
+
+export function PagedMemory (size, table) {
+  this.size = size;
+  this.table = table;
+};
+
+/* Returns a memory of the given size, filled with zeroes.  All pages are
+   initially the same (zero) page. */
+export const allocatePages = function (size) {
+  const zeroPage = new Uint8Array(pageSize);
+  const pageCount = (size + pageMask) >> pageBits;
+  const table = [];
+  for (let pageIndex = 0; pageIndex < pageCount; pageIndex += dirSize) {
+    table.push(Array(Math.min(dirSize, pageCount - pageIndex)).fill(zeroPage));
+  }
+  return new PagedMemory(size, table);
+};
+
+/* Returns the page holding the given (valid) address. */
+PagedMemory.prototype.getPage = function (address) {
+  const pageIndex = address >> pageBits;
+  return this.table[pageIndex >> dirBits][pageIndex & dirMask];
+};
+
+/* Returns the byte at the given address, or undefined if the address is
+   outside the memory. */
+PagedMemory.prototype.get = function (address) {
+  if (address < 0 || address >= this.size) {
+    return undefined;
+  }
+  return this.getPage(address)[address & pageMask];
+};
+
+/* Returns a new Uint8Array holding a copy of the bytes in the range
+   [address, endAddress). */
+PagedMemory.prototype.slice = function (address, endAddress) {
+  const bytes = new Uint8Array(endAddress - address);
+  this.read(address, bytes, bytes.length);
+  return bytes;
+};
+
+/* Copies size bytes starting at address into the bytes array (which must
+   be zero-filled for the bytes outside the memory to read as zero). */
+PagedMemory.prototype.read = function (address, bytes, size) {
+  let offset = 0;
+  if (address < 0) {
+    offset = -address;
+    address = 0;
+  }
+  const endAddress = Math.min(address + size - offset, this.size);
+  while (address < endAddress) {
+    const page = this.getPage(address);
+    const start = address & pageMask;
+    const count = Math.min(pageSize - start, endAddress - address);
+    for (let index = 0; index < count; index += 1) {
+      bytes[offset + index] = page[start + index];
+    }
+    offset += count;
+    address += count;
+  }
+};
+
+PagedMemory.prototype.set = function (address, byte) {
+  return this.fill(address, 1, byte);
+};
+
+/* Returns a new memory where the first size bytes of the bytes array (all
+   of them by default) are stored at the given address. */
+PagedMemory.prototype.setBytes = function (address, bytes, size) {
+  if (size === undefined) {
+    size = bytes.length;
+  }
+  return updatePages(this, address, size, function (page, start, offset, count) {
+    for (let index = 0; index < count; index += 1) {
+      page[start + index] = bytes[offset + index];
+    }
+  });
+};
+
+/* Returns a new memory where size bytes starting at address are set to
+   the given byte. */
+PagedMemory.prototype.fill = function (address, size, byte) {
+  return updatePages(this, address, size, function (page, start, offset, count) {
+    for (let index = 0; index < count; index += 1) {
+      page[start + index] = byte;
+    }
+  });
+};
+
+/* Copies the pages touched by the range [address, address+size) and calls
+   update(page, start, offset, count) on each copy, where page[start] is the
+   byte at address+offset. */
+const updatePages = function (memory, address, size, update) {
+  let offset = 0;
+  if (address < 0) {
+    offset = -address;
+    address = 0;
+  }
+  const endAddress = Math.min(address + size - offset, memory.size);
+  if (address >= endAddress) {
+    return memory;
+  }
+  const table = memory.table.slice();
+  let dirIndex = -1, dir;
+  while (address < endAddress) {
+    const pageIndex = address >> pageBits;
+    if (pageIndex >> dirBits !== dirIndex) {
+      // Pages are visited in order, each directory is copied once.
+      dirIndex = pageIndex >> dirBits;
+      dir = table[dirIndex] = table[dirIndex].slice();
+    }
+    const start = address & pageMask;
+    const count = Math.min(pageSize - start, endAddress - address);
+    const page = dir[pageIndex & dirMask] = dir[pageIndex & dirMask].slice();
+    update(page, start, offset, count);
+    offset += count;
+    address += count;
+  }
+  return new PagedMemory(memory.size, table);
+};
+
+/* Returns the ranges {address, size} of the bytes that differ between two
+   memories, sorted by address.  Directories and pages shared by both
+   memories are skipped without looking at their contents. */
+export const diffPages = function (memory1, memory2) {
+  const ranges = [];
+  let rangeStart = -1;
+  const endRange = function (address) {
+    if (rangeStart !== -1) {
+      ranges.push({address: rangeStart, size: address - rangeStart});
+      rangeStart = -1;
+    }
+  };
+  const size = Math.max(memory1.size, memory2.size);
+  let address = 0;
+  while (address < size) {
+    const pageIndex = address >> pageBits;
+    const dirIndex = pageIndex >> dirBits;
+    const dir1 = memory1.table[dirIndex], dir2 = memory2.table[dirIndex];
+    if (dir1 === dir2) {
+      endRange(address);
+      address = (dirIndex + 1) << (dirBits + pageBits);
+      continue;
+    }
+    const page1 = dir1 && dir1[pageIndex & dirMask];
+    const page2 = dir2 && dir2[pageIndex & dirMask];
+    if (page1 === page2) {
+      endRange(address);
+      address += pageSize;
+      continue;
+    }
+    for (let offset = 0; offset < pageSize && address < size; offset += 1, address += 1) {
+      if (!page1 || !page2 || page1[offset] !== page2[offset]) {
+        if (rangeStart === -1) {
+          rangeStart = address;
+        }
+      } else {
+        endRange(address);
+      }
+    }
+  }
+  endRange(size);
+  return ranges;
+};
@@ -0,0 +1,193 @@
+import {step} from './step';
+import effects from './effects';
+import {findClosestFunctionScope} from './scope';
+import {readValue} from './memory';
+import {findWatchpoint, findChangedWatchpoint, watchedRef} from './breakpoints';
+
+export const defaultHandlers = {
+  control: effects.doControl,
+  result:  effects.doResult,
+  load:    effects.doLoad,
+  store:   effects.doStore,
+  enter:   effects.doEnter,
+  leave:   effects.doLeave,
+  unwind:  effects.doUnwind,
+  call:    effects.doCall,
+  return:  effects.doReturn,
+  vardecl: effects.doVardecl,
+  enumdecl: effects.doEnumdecl,
+  constdecl: effects.doConstdecl,
+  typedef: effects.doTypedef,
+  builtin: effects.doBuiltin
+};
+
+export const applyEffects = function (core, effects, handlers) {
+  for (var effect of effects) {
+    var name = effect[0];
+    if (!(name in handlers)) {
+      throw new Error(`unhandled core effect ${name}`);
+    }
+    handlers[name](core, ...effect.slice(1));
+  }
+};
+
+/* Steps through the program (at least once) until isDone(core) holds, and
+   returns the resulting core and the reason for stopping: 'done', 'halted'
+   if the program ended, 'limit' if options.stepLimit steps were taken,
+   'breakpoint' (along with the breakpoint) if a breakpoint fired, or
+   'watchpoint' (along with the watchpoint, oldValue and newValue) if a
+   watchpoint matched a load or store.
+   The handlers in options.handlers take precedence over the defaults. */
+const runUntil = function (core, options, isDone) {
+  options = options || {};
+  const handlers = {...defaultHandlers, ...options.handlers};
+  const {stepLimit} = options;
+  let stepCount = 0;
+  core = {...core};
+  while (core.control) {
+    if (stepCount === stepLimit) {
+      return {core, reason: 'limit'};
+    }
+    const effects = step(core);
+    const watch = applyWatchedEffects(core, effects, handlers);
+    stepCount += 1;
+    if (watch) {
+      return {core, reason: 'watchpoint', ...watch};
+    }
+    if (core.control) {
+      if (effects[0][0] === 'control') {
+        const breakpoint = findBreakpoint(core);
+        if (breakpoint) {
+          return {core, reason: 'breakpoint', breakpoint};
+        }
+      }
+      if (isDone(core)) {
+        return {core, reason: 'done'};
+      }
+    }
+  }
+  return {core, reason: 'halted'};
+};
+
+/* Applies the effects, and returns the first watchpoint that matched one
+   of them along with the old and new value at the watched location. */
+const applyWatchedEffects = function (core, effects, handlers) {
+  let watch;
+  for (let effect of effects) {
+    const watchpoint = !watch && findWatchpoint(core, effect);
+    if (watchpoint) {
+      const ref = watchpoint.ref || effect[1];
+      watch = {watchpoint, oldValue: readValue(core, ref)};
+      applyEffects(core, [effect], handlers);
+      watch.newValue = readValue(core, ref);
+    } else {
+      const {memory, shadow} = core;
+      applyEffects(core, [effect], handlers);
+      // Variable initializers and builtins write to memory without a store
+      // effect.
+      const changed = !watch && core.memory !== memory && findChangedWatchpoint(core, memory);
+      if (changed) {
+        const ref = watchedRef(core, changed);
+        const oldValue = readValue({...core, memory, shadow}, ref);
+        watch = {watchpoint: changed, oldValue, newValue: readValue(core, ref)};
+      }
+    }
+  }
+  return watch;
+};
+
+/* Returns the breakpoint that fires as control enters its node, if any. */
+const findBreakpoint = function (core) {
+  const {control} = core;
+  if (control.step !== 0) {
+    return undefined;
+  }
+  const breakpoint = core.breakpoints.get(control.node);
+  if (breakpoint && (!breakpoint.condition || evalExpr(core, breakpoint.condition).toBool())) {
+    return breakpoint;
+  }
+  return undefined;
+};
+
+/* Evaluates an expression in the current scope and returns its value,
+   leaving core unchanged. */
+export const evalExpr = function (core, node) {
+  core = {...core, control: {node, step: 0, cont: null}};
+  while (core.control) {
+    applyEffects(core, step(core), defaultHandlers);
+  }
+  return core.result;
+};
+
+/* Steps through the program until it halts, and returns the final core
+   and the program's exit value. */
+export const run = function (core, options) {
+  const stop = runUntil(core, options, () => false);
+  if (stop.reason === 'halted') {
+    stop.result = stop.core.result;
+  }
+  return stop;
+};
+
+/* Steps into the next expression. */
+export const stepExpr = function (core, options) {
+  return runUntil(core, options, intoNextExpr);
+};
+
+/* Steps to the next statement, entering function calls. */
+export const stepInto = function (core, options) {
+  return runUntil(core, options, isAtNextStmt);
+};
+
+/* Steps to the next statement, without stopping inside function calls. */
+export const stepOver = function (core, options) {
+  const refScope = core.scope;
+  return runUntil(core, options, function (core) {
+    return isAtNextStmt(core) && notInNestedCall(core.scope, refScope);
+  });
+};
+
+/* Steps until control returns from the current function, stopping when the
+   call expression's result is available. */
+export const stepOut = function (core, options) {
+  const funcScope = findClosestFunctionScope(core.scope);
+  if (!funcScope) {
+    return run(core, options);
+  }
+  return runUntil(core, options, function (core) {
+    return core.scope.key < funcScope.key;
+  });
+};
+
+/* Steps until control enters the given node. */
+export const runToNode = function (core, node, options) {
+  return runUntil(core, options, function (core) {
+    return core.control.node === node && core.control.step === 0;
+  });
+};
+
+const isAtNextStmt = function (core) {
+  return outOfCurrentStmt(core) && intoNextStmt(core);
+};
+
+export const outOfCurrentStmt = function (core) {
+  return /down|out/.test(core.direction) && core.control.seq === 'stmt';
+};
+
+export const intoNextStmt = function (core) {
+  return !/^(CompoundStmt|IfStmt|WhileStmt|DoStmt|ForStmt|SwitchStmt|CaseStmt|DefaultStmt|LabelStmt)$/.test(core.control.node[0]);
+};
+
+export const intoNextExpr = function (core) {
+  return /down|out/.test(core.direction) && core.control.seq;
+};
+
+export const notInNestedCall = function (scope, refScope) {
+  while (scope && scope.key >= refScope.key) {
+    if (scope.kind === 'function') {
+      return false;
+    }
+    scope = scope.parent;
+  }
+  return true;
+};
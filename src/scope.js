@@ -25,6 +25,25 @@ export const findLocalDeclaration = function (scope, name) {
       //  as the reference).
       return scope.ref;
     }
+    if (scope.kind === 'constant' && scope.name === name) {
+      // Enumeration constants are values, like functions.
+      return scope.value;
+    }
+    scope = scope.parent;
+  }
+  return undefined;
+};
+
+/* Returns the type of the local enum (kind 'enum') or typedef (kind
+   'typedef') with the given name. */
+export const findLocalTypeDecl = function (scope, kind, name) {
+  while (scope) {
+    if (scope.kind === 'function') {
+      break;
+    }
+    if (scope.kind === kind && scope.name === name) {
+      return scope.type;
+    }
     scope = scope.parent;
   }
   return undefined;
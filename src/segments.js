@@ -0,0 +1,56 @@
+/*
+
+The memory map divides the memory in segments:
+
+  null    [0, nullPageSize)                no access
+  rodata  [nullPageSize, core.rodataEnd)   read-only, holds string literals
+  data    [core.rodataEnd, core.heapStart) global variables
+  heap    [core.heapStart, stack limit)    heap blocks
+  stack   [stack limit, memory size)       local variables
+
+The stack limit is the lowest address used by the stack, so the heap and
+stack segments move as the stack grows and shrinks.
+Loads and stores that do not respect the segment permissions are errors.
+
+*/
+
+import {runtimeError} from './errors';
+
+export const nullPageSize = 0x100;
+
+/* Returns the segments as a list of {name, start, end, read, write}
+   (end being exclusive), sorted by address. */
+export const getMemoryMap = function (core) {
+  const stackLimit = core.scope.limit;
+  const {heapStart, rodataEnd} = core;
+  return [
+    {name: 'null', start: 0, end: nullPageSize, read: false, write: false},
+    {name: 'rodata', start: nullPageSize, end: rodataEnd, read: true, write: false},
+    {name: 'data', start: rodataEnd, end: heapStart, read: true, write: true},
+    {name: 'heap', start: heapStart, end: stackLimit, read: true, write: true},
+    {name: 'stack', start: stackLimit, end: core.memory.size, read: true, write: true}
+  ];
+};
+
+/* Returns the segment that contains address, or undefined if the address
+   is outside the memory. */
+export const findSegment = function (core, address) {
+  return getMemoryMap(core).find(segment => segment.start <= address && address < segment.end);
+};
+
+/* Throws an error if a load (mode 'read') or store (mode 'write') through
+   ref starts in the null page or, for a store, in the rodata segment. */
+export const checkSegmentAccess = function (core, ref, mode) {
+  const {address} = ref;
+  const hex = `0x${address.toString(16)}`;
+  if (address < nullPageSize) {
+    throw runtimeError('null dereference', `${mode} of null page address ${hex}`,
+      {address, segment: 'null'});
+  }
+  if (mode === 'write' && address < core.rodataEnd) {
+    const {object} = ref;
+    const what = object ? object.name : hex;
+    throw runtimeError('read-only write', `write to read-only ${what}`,
+      {address, segment: 'rodata', name: object && object.name});
+  }
+};
@@ -14,17 +14,15 @@ with the seq property set to true.  In C, sequence points occur:
 */
 
 import {
-  builtinTypes, pointerType, functionType, arrayType, decayedType,
-  recordType, forwardRecordType} from './type';
+  Type, pointerType, functionType, arrayType, decayedType,
+  recordType, forwardRecordType, enumType, typedefType, promoteType, binaryOperationType} from './type';
 import {
   IntegralValue, FloatingValue, PointerValue, BuiltinValue, FunctionValue, ArrayValue,
   evalUnaryOperation, evalBinaryOperation, evalCast, makeRef} from './value';
-import {findLocalDeclaration} from './scope';
+import {findLocalDeclaration, findLocalTypeDecl, findClosestFunctionScope} from './scope';
 import {writeValue, readValue} from './memory';
 import {finalizeVarDecl} from './decl';
 
-const one = new IntegralValue(builtinTypes['int'], 1);
-
 const findDeclaration = function (core, name) {
   return findLocalDeclaration(core.scope, name) || core.globalMap[name];
 };
@@ -50,6 +48,11 @@ const stepCompoundStmt = function (core, control) {
     effects.push(['enter', node]);
   }
 
+  // A jump to a label (or case) inside the block passes control along path.
+  if (control.path) {
+    return {control: stepBlockPath(control), effects};
+  }
+
   // When falling through the end of the block, issue a 'leave' effect to
   // clean up the block's scope.
   if (step >= node[2].length) {
@@ -68,8 +71,9 @@ const stepDeclStmt = function (core, control) {
   if (step < node[2].length) {
     // Pass control to the next child, setting up the continuation
     // for the next step.
+    const attrs = control.skipInit ? {skipInit: true} : undefined;
     return {
-      control: enter(node[2][step], {...control, step: step + 1})
+      control: enter(node[2][step], {...control, step: step + 1}, attrs)
     };
   }
   // No next child: return void and pass control to the continuation.
@@ -153,7 +157,7 @@ const stepDoStmt = function (core, control) {
   const {node, step} = control;
   if (step === 0) {
     // enter body, continue w/ step 1
-    return {control: enterStmt(node[2][0], {...control, step: 1})};
+    return {control: enterStmt(node[2][0], {...control, step: 1, break: 3})};
   }
   if (step === 1) {
     // enter cond, continue w/ step 2
@@ -170,19 +174,276 @@ const stepDoStmt = function (core, control) {
 };
 
 const stepBreakStmt = function (core, control) {
-  let cont = control;
-  do {
+  // Leave the blocks up to the closest loop or switch statement, and
+  // resume it at its 'break' step.
+  const effects = [];
+  let cont = control.cont;
+  while (!('break' in cont)) {
+    leaveBlock(cont, effects);
     cont = cont.cont;
-  } while (!('break' in cont));
-  return {control: {...cont, step: cont.break, seq: 'stmt'}, result: null};
+  }
+  return {control: {...cont, step: cont.break, seq: 'stmt'}, result: null, effects};
 };
 
 const stepContinueStmt = function (core, control) {
-  let cont = control;
-  do {
+  // A switch statement is a target for 'break' but not for 'continue'.
+  const effects = [];
+  let cont = control.cont;
+  while (!('break' in cont) || cont.node[0] === 'SwitchStmt') {
+    leaveBlock(cont, effects);
+    cont = cont.cont;
+  }
+  return {control: {...cont, seq: 'stmt'}, result: null, effects};
+};
+
+const leaveBlock = function (cont, effects) {
+  // A compound statement found in the continuation chain has been entered
+  // and must be left when control is transferred out of it.
+  if (cont.node[0] === 'CompoundStmt') {
+    effects.push(['leave', cont.node]);
+  }
+};
+
+const stepSwitchStmt = function (core, control) {
+  /* [cond, body] */
+  const {node, step} = control;
+  if (step === 0) {
+    // Evaluate the controlling expression.
+    return {control: enterExpr(node[2][0], {...control, step: 1})};
+  }
+  if (step === 3) {
+    // The body was completed or exited by a 'break' statement.
+    return {control: control.cont, result: null};
+  }
+  let {value, cases, caseIndex} = control;
+  if (step === 1) {
+    // Collect the paths to the case labels that belong to this switch.
+    value = core.result;
+    cases = findStmtPaths(node[2][1], isCaseStmt, isSwitchStmt);
+    caseIndex = 0;
+  } else {
+    // A case label's value was evaluated, jump to it if it matches.
+    if (evalBinaryOperation('EQ', value, core.result).toBool()) {
+      return enterSwitchBody(control, cases[caseIndex]);
+    }
+    caseIndex += 1;
+  }
+  if (caseIndex < cases.length) {
+    // Evaluate the value of the next case label.
+    const caseNode = cases[caseIndex][cases[caseIndex].length - 1];
+    return {
+      control: enter(caseNode[2][0], {...control, step: 2, value, cases, caseIndex})
+    };
+  }
+  // No case label matched, jump to the default label if there is one.
+  const defaults = findStmtPaths(node[2][1], isDefaultStmt, isSwitchStmt);
+  if (defaults.length !== 0) {
+    return enterSwitchBody(control, defaults[0]);
+  }
+  return {control: control.cont, result: null};
+};
+
+const enterSwitchBody = function (control, path) {
+  const {node, cont, seq} = control;
+  return {control: enterStmtPath(childContinuation({node, cont, seq}, node[2][1]), path)};
+};
+
+const stepLabeledStmt = function (core, control) {
+  /* CaseStmt [value, stmt], DefaultStmt [stmt], LabelStmt [stmt] */
+  const {node, step} = control;
+  if (step === 0) {
+    // The value of a case label is only evaluated by the switch statement.
+    const stmt = node[2][node[2].length - 1];
+    return {control: enterStmt(stmt, {...control, step: 1})};
+  }
+  return {control: control.cont, result: null};
+};
+
+const stepGotoStmt = function (core, control) {
+  const {label} = control.node[1];
+  const funcBody = findClosestFunctionScope(core.scope).values[0].body;
+  const path = findStmtPaths(funcBody, node => isLabelStmt(node, label), () => false)[0];
+  if (!path) {
+    return {error: `undefined label ${label}`};
+  }
+  // Build the chain of statements enclosing the goto, from the function's
+  // body inwards.  At each depth, chain[depth] is the control of the
+  // statement chain[depth].node, which is being executed.
+  const chain = [];
+  let cont = control.cont;
+  while (cont.node !== funcBody) {
+    chain.unshift(cont);
     cont = cont.cont;
-  } while (!('break' in cont));
-  return {control: {...cont, seq: 'stmt'}, result: null};
+  }
+  chain.unshift(cont);
+  // Find the innermost statement that encloses both the goto and the label
+  // (the label itself is re-entered if the goto is inside it).
+  let depth = 0;
+  while (depth + 2 < path.length && depth + 1 < chain.length &&
+         chain[depth + 1].node === path[depth + 1]) {
+    depth += 1;
+  }
+  // Leave the blocks that enclose the goto but not the label, then enter
+  // the blocks that enclose the label.
+  const effects = [];
+  for (let index = chain.length - 1; index > depth; index -= 1) {
+    leaveBlock(chain[index], effects);
+  }
+  const common = chain[depth];
+  if (common.node[0] === 'CompoundStmt') {
+    const stmts = common.node[2];
+    const current = common.step - 1;
+    const target = stmts.indexOf(path[depth + 1]);
+    if (target > current) {
+      // Jumping forward, the statements skipped in the common block may
+      // declare variables.  The block is not a stop while passing through.
+      const {seq, ...block} = common;
+      return {control: {...block, path: path.slice(depth)}, effects};
+    }
+    // Jumping back, the declarations from the label on go out of scope.
+    const scope = unwindScope(core.scope, common.node, declarationsIn(stmts.slice(target)));
+    if (scope) {
+      effects.push(['unwind', scope]);
+    }
+  }
+  return {
+    control: enterStmtPath(childContinuation(common, path[depth + 1]), path.slice(depth + 1)),
+    effects
+  };
+};
+
+/* Returns the scope of the block that remains when the declarations in
+   decls go out of scope, or undefined if none of them is in scope. */
+const unwindScope = function (scope, blockNode, decls) {
+  let result;
+  for (; scope.blockNode !== blockNode; scope = scope.parent) {
+    if (scope.kind === 'block') {
+      // Nested blocks are left separately.
+      result = undefined;
+    } else if (decls.has(scope.decl)) {
+      result = scope.parent;
+    }
+  }
+  return result;
+};
+
+/* Returns the set of the declaration nodes in stmts. */
+const declarationsIn = function (stmts) {
+  const decls = new Set();
+  stmts.forEach(function (stmt) {
+    findStmtPaths(stmt, isDeclaration, () => false).forEach(function (path) {
+      decls.add(path[path.length - 1]);
+    });
+  });
+  return decls;
+};
+
+const isDeclaration = function (node) {
+  return /^(VarDecl|EnumDecl|EnumConstantDecl|TypedefDecl)$/.test(node[0]);
+};
+
+const isLabeledStmt = function (node) {
+  return /^(LabelStmt|CaseStmt|DefaultStmt)$/.test(node[0]);
+};
+
+const isLabelStmt = function (node, label) {
+  return node[0] === 'LabelStmt' && node[1].name === label;
+};
+
+const isCaseStmt = function (node) {
+  return node[0] === 'CaseStmt';
+};
+
+const isDefaultStmt = function (node) {
+  return node[0] === 'DefaultStmt';
+};
+
+const isSwitchStmt = function (node) {
+  return node[0] === 'SwitchStmt';
+};
+
+/* Returns the paths (arrays of nodes starting with root) leading to the
+   nodes below root that satisfy pred, without searching inside the nodes
+   that satisfy prune. */
+const findStmtPaths = function (root, pred, prune) {
+  const paths = [];
+  const visit = function (node, path) {
+    path = [...path, node];
+    if (pred(node)) {
+      paths.push(path);
+    }
+    node[2].forEach(function (child) {
+      if (!prune(child)) {
+        visit(child, path);
+      }
+    });
+  };
+  visit(root, []);
+  return paths;
+};
+
+/* Returns the continuation that resumes the (already entered) statement
+   control when its child statement completes. */
+const childContinuation = function (control, child) {
+  const {node} = control;
+  switch (node[0]) {
+  case 'CompoundStmt':
+    return {...control, step: node[2].indexOf(child) + 1};
+  case 'IfStmt':
+    return {...control, step: 2};
+  case 'WhileStmt':
+    return {...control, step: 0, break: 2};
+  case 'DoStmt':
+    return {...control, step: 1, break: 3};
+  case 'ForStmt':
+    return {...control, step: 2, break: 4};
+  case 'SwitchStmt':
+    return {...control, step: 3, break: 3};
+  case 'CaseStmt':
+  case 'DefaultStmt':
+  case 'LabelStmt':
+    return {...control, step: 1};
+  }
+  throw new Error(`cannot enter ${child[0]} inside ${node[0]}`);
+};
+
+/* Returns the control that transfers control to the last statement of
+   path, entering the enclosing statements in path along the way.  cont is
+   the continuation for path[0].  Blocks are entered by stepping them with
+   the rest of the path (see stepBlockPath). */
+const enterStmtPath = function (cont, path) {
+  const lastIndex = path.length - 1;
+  for (let index = 0; index < lastIndex; index += 1) {
+    const node = path[index];
+    if (node[0] === 'CompoundStmt') {
+      return enter(node, cont, {path: path.slice(index)});
+    }
+    cont = childContinuation(enterStmt(node, cont), path[index + 1]);
+  }
+  return enterStmt(path[lastIndex], cont);
+};
+
+/* Steps a block (path[0]) on the way to a statement inside it: the
+   declarations of the statements skipped from control.step to path[1] are
+   made (without their initializers, as the variables are in scope but
+   uninitialized), then path[1] is entered.  The block's continuation is a
+   statement again once the jump is complete. */
+const stepBlockPath = function (control) {
+  const {node, step, path, ...attrs} = control;
+  const target = node[2].indexOf(path[1]);
+  for (let index = step; index < target; index += 1) {
+    const declPaths = findStmtPaths(node[2][index], isDeclStmt, child => !isLabeledStmt(child));
+    if (declPaths.length !== 0) {
+      const declStmt = declPaths[0][declPaths[0].length - 1];
+      return enter(declStmt, {...control, step: index + 1}, {skipInit: true});
+    }
+  }
+  const block = {node, ...attrs, seq: 'stmt', step: target + 1};
+  return enterStmtPath(block, path.slice(1));
+};
+
+const isDeclStmt = function (node) {
+  return node[0] === 'DeclStmt';
 };
 
 const stepIfStmt = function (core, control) {
@@ -240,7 +501,13 @@ const stepCallExpr = function (core, control) {
       };
     }
     /* All arguments have been evaluated, perform the call. */
-    const funcVal = values[0];
+    let funcVal = values[0];
+    if (funcVal instanceof PointerValue && core.functions[funcVal.address]) {
+      // A function pointer converted from an integer or a data pointer,
+      // the call values (kept in the callee's scope) hold the function.
+      funcVal = core.functions[funcVal.address];
+      values = [funcVal, ...values.slice(1)];
+    }
     /* Builtins are handled as an effect. */
     if (funcVal instanceof BuiltinValue) {
       return {
@@ -268,11 +535,13 @@ const stepCallExpr = function (core, control) {
         effects
       };
     }
-    return {error: `call error ${funcVal}`};
+    return invalidCall(funcVal);
   }
   if (step === 'r') {
+    /* Control fell off the end of the function body, the 'return' effect
+       sets the result. */
     const effects = [['return', null]];
-    return {result: null, effects};
+    return {effects};
   }
   if (step === 'R') {
     /* The R step catches the callee's result and is only used as a stop to
@@ -307,7 +576,7 @@ const stepImplicitCastExpr = function (core, control) {
   }
   const type = control.type;
   const value = core.result;
-  const result = evalCast(type, value);
+  const result = evalCast(type, value, core.ubChecks);
   return {control: control.cont, result};
 };
 
@@ -329,7 +598,7 @@ const stepExplicitCastExpr = function (core, control) {
   }
   const type = control.type;
   const value = core.result;
-  const result = evalCast(type, value);
+  const result = evalCast(type, value, core.ubChecks);
   return {control: control.cont, result};
 };
 
@@ -353,7 +622,7 @@ const stepDeclRefExpr = function (core, control) {
       if (varType.kind === 'array') {
         // A reference to an array evaluates to a pointer to the array's
         // first element.
-        result = new PointerValue(decayedType(varType), ref.address);
+        result = new PointerValue(decayedType(varType), ref.address, ref.object);
       } else {
         result = readValue(core, ref);
         effects.push(['load', ref]);
@@ -383,6 +652,7 @@ const stepMemberExpr = function (core, control) {
   } else {
     const nameNode = control.node[2][0];
     const identifier = nameNode[1].identifier;
+    const effects = [];
     let result;
     if (control.mode === 'type') {
       const recordType = core.result;
@@ -393,30 +663,53 @@ const stepMemberExpr = function (core, control) {
       const recordType = ref.type.pointee;
       const fieldDecl = recordType.fieldMap[identifier];
       const fieldAddress = ref.address + fieldDecl.offset;
-      const fieldRef = new PointerValue(pointerType(fieldDecl.type), fieldAddress);
-      if (control.mode === 'lvalue' || fieldDecl.type.composite) {
+      const fieldRef = new PointerValue(pointerType(fieldDecl.type), fieldAddress, ref.object);
+      if (fieldDecl.bitField) {
+        // The reference is to the field's storage unit, loads and stores
+        // only access the field's bits.
+        fieldRef.bitField = fieldDecl.bitField;
+      }
+      if (control.mode !== 'lvalue' && fieldDecl.type.kind === 'array') {
+        // Like a variable, an array field evaluates to a pointer to its
+        // first element.
+        result = new PointerValue(decayedType(fieldDecl.type), fieldAddress, ref.object);
+      } else if (control.mode === 'lvalue' || fieldDecl.type.composite) {
         result = fieldRef;
       } else {
         result = readValue(core, fieldRef);
+        effects.push(['load', fieldRef]);
       }
     }
-    return {control: control.cont, result};
+    return {control: control.cont, result, effects};
   }
 };
 
 const stepUnaryOperator = function (core, control) {
   if (control.step === 0) {
-    // Evaluate the operand.
+    // Evaluate the operand (its type only in 'type' mode).
+    const mode = control.mode === 'type' ? 'type' : undefined;
     return {
-      control: enterExpr(control.node[2][0], {...control, step: 1})
+      control: enterExpr(control.node[2][0], {...control, step: 1}, {mode})
     };
+  } else if (control.mode === 'type') {
+    const type = typeOfResult(core.result);
+    const result = control.node[1].opcode === 'LNot'
+      ? core.target.builtinTypes['int']
+      : promoteType(type);
+    return {control: control.cont, result};
   } else {
     const value = core.result;
-    const result = evalUnaryOperation(control.node[1].opcode, value);
+    const result = evalUnaryOperation(control.node[1].opcode, value, core.ubChecks);
     return {control: control.cont, result};
   }
 };
 
+/* In 'type' mode, expressions evaluate to their type, except for literals
+   which evaluate to their value. */
+const typeOfResult = function (result) {
+  return result instanceof Type ? result : result.type;
+};
+
 const stepAssignmentUnaryOperator = function (core, control) {
   if (control.step === 0) {
     // Evaluate the operand as a lvalue.
@@ -429,7 +722,11 @@ const stepAssignmentUnaryOperator = function (core, control) {
     const oldValue = readValue(core, lvalue);
     const opcode = control.node[1].opcode;
     const binOp = /Inc$/.test(opcode) ? 'Add' : 'Sub';
-    const newValue = evalBinaryOperation(binOp, oldValue, one);
+    // The operation is done in the promoted type, the result is converted
+    // back to the operand's type.
+    const one = new IntegralValue(core.target.builtinTypes['int'], 1);
+    const newValue = evalCast(oldValue.type,
+      evalBinaryOperation(binOp, oldValue, one, core.ubChecks), core.ubChecks);
     const result = /^Pre/.test(opcode) ? newValue : oldValue;
     return {
       control: control.cont,
@@ -462,6 +759,15 @@ const stepAddrOf = function (core, control) {
   }
 };
 
+/* The error step for a call through a null or invalid function pointer. */
+const invalidCall = function (funcVal) {
+  const address = funcVal.toInteger();
+  const error = address === 0
+    ? 'call through a null function pointer'
+    : `call through an invalid function pointer ${funcVal}`;
+  return {error, kind: 'invalid function pointer', address};
+};
+
 const stepDeref = function (core, control) {
   if (control.step === 0) {
     // Transition out of 'lvalue' mode.
@@ -481,10 +787,15 @@ const stepDeref = function (core, control) {
     }
     // Normal value-mode path.
     const lvalue = core.result;
+    if (lvalue instanceof FunctionValue || lvalue instanceof BuiltinValue ||
+        lvalue.type.pointee.kind === 'function') {
+      // *f designates the function, which decays back to the pointer f.
+      return {control: control.cont, result: lvalue};
+    }
     if (lvalue.type.pointee.kind === 'array') {
       // Rather than reading the array value, build a reference to its first
       // element (with the appropriate decayed type).
-      const result = makeRef(lvalue.type.pointee, lvalue.address);
+      const result = makeRef(lvalue.type.pointee, lvalue.address, lvalue.object);
       return {control: control.cont, result};
     } else {
       const result = readValue(core, lvalue);
@@ -504,12 +815,20 @@ const stepUnaryExprOrTypeTraitExpr = function (core, control) {
       control: enterExpr(control.node[2][0], {...control, step: 1}, {mode: 'type'})
     };
   }
-  const type = core.result;
-  const result = new IntegralValue(builtinTypes['int'], type.size);
+  const type = typeOfResult(core.result);
+  const {builtinTypes} = core.target;
+  // The result has type size_t.
+  const sizeType = core.target.pointerSize > builtinTypes['int'].size
+    ? builtinTypes['unsigned long']
+    : builtinTypes['unsigned int'];
+  const result = new IntegralValue(sizeType, type.size);
   return {control: control.cont, result};
 };
 
 const stepBinaryOperator = function (core, control) {
+  if (control.mode === 'type') {
+    return stepBinaryOperatorType(core, control);
+  }
   if (control.step === 0) {
     // Before LHS.
     return {
@@ -521,7 +840,7 @@ const stepBinaryOperator = function (core, control) {
     const opcode = control.node[1].opcode;
     // Short-circuit evaluation for logical operators.
     if ((opcode === 'LAnd' && !lhs.toBool()) || (opcode === 'LOr' && lhs.toBool())) {
-      return {control: control.cont, result: lhs};
+      return {control: control.cont, result: logicalValue(core, lhs)};
     }
     return {
       control: enterExpr(control.node[2][1], {...control, step: 2, lhs})
@@ -530,12 +849,37 @@ const stepBinaryOperator = function (core, control) {
     // After RHS.
     const rhs = core.result;
     const opcode = control.node[1].opcode;
-    const result =
-      /^(Comma|LOr|LAnd)$/.test(opcode) ? rhs : evalBinaryOperation(opcode, control.lhs, rhs);
+    let result;
+    if (opcode === 'Comma') {
+      result = rhs;
+    } else if (/^(LOr|LAnd)$/.test(opcode)) {
+      result = logicalValue(core, rhs);
+    } else {
+      result = evalBinaryOperation(opcode, control.lhs, rhs, core.ubChecks);
+    }
     return {control: control.cont, result};
   }
 };
 
+/* The result of && and || is the int 1 if the operand that decided it
+   compares unequal to 0, and 0 otherwise. */
+const logicalValue = function (core, operand) {
+  return new IntegralValue(core.target.builtinTypes['int'], operand.toBool() ? 1 : 0);
+};
+
+/* Computes the type of a binary operation, without evaluating it. */
+const stepBinaryOperatorType = function (core, control) {
+  const {node, step} = control;
+  if (step < 2) {
+    const lhsType = step === 1 ? typeOfResult(core.result) : undefined;
+    return {
+      control: enterExpr(node[2][step], {...control, step: step + 1, lhsType}, {mode: 'type'})
+    };
+  }
+  const result = binaryOperationType(node[1].opcode, control.lhsType, typeOfResult(core.result));
+  return {control: control.cont, result};
+};
+
 const stepAssignmentOperator = function (core, control) {
   if (control.step === 0) {
     // Before LHS (as lvalue).
@@ -578,7 +922,10 @@ const stepAssignmentBinaryOperator = function (core, control) {
     const {lvalue, lhs} = control;
     const rhs = core.result;
     const opcode = control.node[1].opcode.replace('Assign', '');
-    const result = evalBinaryOperation(opcode, lhs, rhs);
+    // The operation is done in the common type of the operands, the result
+    // is converted back to the type of the left operand.
+    const result = evalCast(lvalue.type.pointee,
+      evalBinaryOperation(opcode, lhs, rhs, core.ubChecks), core.ubChecks);
     const effects = [['store', lvalue, result]];
     return {control: control.cont, result, effects};
   }
@@ -602,7 +949,7 @@ const stepArraySubscriptExpr = function (core, control) {
     const elemType = array.type.pointee;
     const subscript = core.result;
     const address = array.address + subscript.toInteger() * elemType.size;
-    const ref = makeRef(elemType, address);
+    const ref = makeRef(elemType, address, array.object);
     if (control.mode === 'lvalue' || elemType.kind === 'array') {
       // Return the reference in lvalue mode, or if the element type is
       // an array (and ref has a decayed type).
@@ -675,8 +1022,8 @@ const stepVarDecl = function (core, control) {
   if (step === 0) {
     return {control: enter(node[2][0], {...control, step: 1})};
   }
-  // Evaluate the initializer, if present.
-  if (step === 1 && node[2].length === 2) {
+  // Evaluate the initializer, if present (and not skipped by a jump).
+  if (step === 1 && node[2].length === 2 && !control.skipInit) {
     const type = core.result;
     return {control: enterExpr(node[2][1], {...control, step: 2, type})};
   }
@@ -684,31 +1031,55 @@ const stepVarDecl = function (core, control) {
   const preType = step === 1 ? core.result : control.type;
   const preInit = step === 2 ? core.result : null;
   const {type, init} = finalizeVarDecl(core, preType, preInit);
-  const effects = [['vardecl', name, type, init]];
+  const effects = [['vardecl', name, type, init, node]];
   return {control: control.cont, result: null, effects};
 };
 
 const stepIntegerLiteral = function (core, control) {
   const value = control.node[1].value;
-  // XXX use different type if value ends with l, ll, ul, ull
   return {
     control: control.cont,
-    result: new IntegralValue(builtinTypes['int'], parseInt(value))
+    result: parseIntegerLiteral(core.target.builtinTypes, value)
   };
 };
 
+/* The type of an integer literal is the first of the candidate types for
+   its suffix in which its value fits (C99 6.4.4.1). */
+const parseIntegerLiteral = function (builtinTypes, literal) {
+  const [, digits, suffix] = /^([0-9a-fA-FxX]*?)([uUlL]*)$/.exec(literal);
+  const number = /^0[0-7]+$/.test(digits) ? BigInt(`0o${digits.slice(1)}`) : BigInt(digits);
+  const decimal = !/^0./.test(digits);
+  const unsigned = /u/i.test(suffix);
+  const longCount = (suffix.match(/l/gi) || []).length;
+  const candidates = ['int', 'long', 'long long'].slice(longCount).reduce(function (reprs, repr) {
+    if (!unsigned) {
+      reprs.push(repr);
+    }
+    if (unsigned || !decimal) {
+      reprs.push(`unsigned ${repr}`);
+    }
+    return reprs;
+  }, []);
+  const repr = candidates.find(function (repr) {
+    const type = builtinTypes[repr];
+    const bits = BigInt(type.size * 8 - (/^unsigned/.test(repr) ? 0 : 1));
+    return number < (BigInt(1) << bits);
+  }) || candidates[candidates.length - 1];
+  return new IntegralValue(builtinTypes[repr], number);
+};
+
 const stepCharacterLiteral = function (core, control) {
   const value = control.node[1].value;
   // XXX use 'unsigned char' if value ends with 'u'
   return {
     control: control.cont,
-    result: new IntegralValue(builtinTypes['char'], parseInt(value))
+    result: new IntegralValue(core.target.builtinTypes['char'], parseInt(value))
   };
 };
 
 const stepFloatingLiteral = function (core, control) {
   const value = control.node[1].value;
-  const type = /[fF]$/.test(value) ? builtinTypes['float'] : builtinTypes['double'];
+  const type = /[fF]$/.test(value) ? core.target.builtinTypes['float'] : core.target.builtinTypes['double'];
   return {
     control: control.cont,
     result: new FloatingValue(type, parseFloat(value))
@@ -725,7 +1096,7 @@ const stepStringLiteral = function (core, control) {
 
 const stepBuiltinType = function (core, control) {
   const {name} = control.node[1];
-  const result = builtinTypes[name];
+  const result = core.target.builtinTypes[name];
   return {control: control.cont, result};
 };
 
@@ -746,7 +1117,7 @@ const stepConstantArrayType = function (core, control) {
     return {control: enter(node[2][0], {...control, step: 1})};
   }
   const elemType = core.result;
-  const elemCount = new IntegralValue(builtinTypes['unsigned int'], parseInt(node[1].size));
+  const elemCount = new IntegralValue(core.target.builtinTypes['unsigned int'], parseInt(node[1].size));
   const result = arrayType(elemType, elemCount);
   return {control: control.cont, result};
 };
@@ -782,7 +1153,7 @@ const stepFunctionProtoType = function (core, control) {
   const {node, step} = control;
   const cont = {...control, step: step + 1};
   if (step === 0) {
-    cont.result = builtinTypes['int']; /* default */
+    cont.result = core.target.builtinTypes['int']; /* default */
     cont.params = [];
   } else if (core.result.kind) { /* result type */
     cont.result = core.result;
@@ -813,6 +1184,8 @@ const stepParmVarDecl = function (core, control) {
 };
 
 const stepFieldDecl = function (core, control) {
+  /* FieldDecl({name}, [type, bitWidth?]), name is missing for unnamed
+     bit-fields. */
   const {node, step} = control;
   if (step === 0) {
     // Evaluate the type.
@@ -820,9 +1193,18 @@ const stepFieldDecl = function (core, control) {
       control: enter(node[2][0], {...control, step: step + 1})
     };
   }
+  if (step === 1 && node[2].length === 2) {
+    // Evaluate the width of a bit-field.
+    return {
+      control: enterExpr(node[2][1], {...control, step: step + 1, type: core.result})
+    };
+  }
   const name = node[1].name;
-  const type = core.result;
-  return {control: control.cont, result: {name, type}};
+  if (step === 1) {
+    return {control: control.cont, result: {name, type: core.result}};
+  }
+  const bitWidth = core.result.toInteger();
+  return {control: control.cont, result: {name, type: control.type, bitWidth}};
 };
 
 const stepParenType = function (core, control) {
@@ -846,7 +1228,7 @@ const stepDecayedType = function (core, control) {
 const stepRecordType = function (core, control) {
   const {node} = control;
   const name = node[1].name;
-  const type = core.recordDecls.get(name) || forwardRecordType(name);
+  const type = core.recordDecls.get(name) || forwardRecordType(name, core.target);
   return {control: control.cont, result: type};
 };
 
@@ -868,7 +1250,32 @@ const stepFunctionDecl = function (core, control) {
 };
 
 const stepTypedefDecl = function (core, control) {
-  return {control: control.cont, result: null};
+  /* TypedefDecl({name}, [type]) */
+  const {node, step} = control;
+  if (step === 0) {
+    return {control: enter(node[2][0], {...control, step: 1})};
+  }
+  const {name} = node[1];
+  const effects = [];
+  // Typedefs of unsupported types (such as clang's implicit __int128_t) are
+  // ignored.
+  if (core.result) {
+    effects.push(['typedef', name, typedefType(name, core.result), node]);
+  }
+  return {control: control.cont, result: null, effects};
+};
+
+const stepTypedefType = function (core, control) {
+  const {name} = control.node[1];
+  let type = findLocalTypeDecl(core.scope, 'typedef', name) || core.typedefDecls.get(name);
+  if (!type) {
+    return {error: `unknown type ${name}`};
+  }
+  if (type.forward && core.recordDecls.has(type.name)) {
+    // The typedef was declared before its record.
+    type = typedefType(name, core.recordDecls.get(type.name));
+  }
+  return {control: control.cont, result: type};
 };
 
 const stepRecordDecl = function (core, control) {
@@ -884,12 +1291,63 @@ const stepRecordDecl = function (core, control) {
       control: enter(node[2][step], {...control, step: step + 1, values})
     };
   }
-  const {name} = node[1];
-  const type = recordType(name, values);
+  const {name, tagUsed} = node[1];
+  const type = recordType(name, values, core.target, tagUsed === 'union');
   const effects = [['recdecl', name, type]];
   return {control: control.cont, result: null, effects};
 };
 
+const stepEnumType = function (core, control) {
+  const {name} = control.node[1];
+  const type = findLocalTypeDecl(core.scope, 'enum', name) || core.enumDecls.get(name);
+  if (!type) {
+    return {error: `unknown enum ${name}`};
+  }
+  return {control: control.cont, result: type};
+};
+
+const stepEnumDecl = function (core, control) {
+  /* EnumDecl({name}, […EnumConstantDecl]) */
+  const {node, step} = control;
+  let enumerators;
+  if (step === 0) {
+    enumerators = [];
+  } else {
+    enumerators = [...control.enumerators, core.result];
+  }
+  if (step < node[2].length) {
+    // An enumerator without an initializer has the value of the previous
+    // one plus 1 (the first one is 0).
+    const next = step === 0 ? 0 : core.result.value + 1;
+    return {
+      control: enter(node[2][step], {...control, step: step + 1, enumerators}, {next})
+    };
+  }
+  const {name} = node[1];
+  const effects = [];
+  if (name) {
+    effects.push(['enumdecl', name, enumType(name, enumerators, core.target), node]);
+  }
+  return {control: control.cont, result: null, effects};
+};
+
+const stepEnumConstantDecl = function (core, control) {
+  /* EnumConstantDecl({name}, [init?]) */
+  const {node, step} = control;
+  if (step === 0 && node[2].length !== 0) {
+    return {control: enterExpr(node[2][0], {...control, step: 1})};
+  }
+  // The constant is declared (and can be used by the initializers of the
+  // next enumerators) as soon as its value is known.  Its type is int.
+  const intType = core.target.builtinTypes['int'];
+  const value = step === 0
+    ? new IntegralValue(intType, control.next)
+    : evalCast(intType, core.result, core.ubChecks);
+  const {name} = node[1];
+  const effects = [['constdecl', name, value, node]];
+  return {control: control.cont, result: {name, value: value.toInteger()}, effects};
+};
+
 function stepCXXRecordDecl (core, control) {
   /* {name} [?, …members] */
   return {error: 'not implemented: CXXRecordDecl'};
@@ -922,6 +1380,14 @@ const getStep = function (core) {
     return stepBreakStmt(core, control);
   case 'ContinueStmt':
     return stepContinueStmt(core, control);
+  case 'SwitchStmt':
+    return stepSwitchStmt(core, control);
+  case 'CaseStmt':
+  case 'DefaultStmt':
+  case 'LabelStmt':
+    return stepLabeledStmt(core, control);
+  case 'GotoStmt':
+    return stepGotoStmt(core, control);
   case 'IfStmt':
     return stepIfStmt(core, control);
   case 'ReturnStmt':
@@ -1010,12 +1476,20 @@ const getStep = function (core) {
     return stepDecayedType(core, control);
   case 'RecordType':
     return stepRecordType(core, control);
+  case 'EnumType':
+    return stepEnumType(core, control);
+  case 'TypedefType':
+    return stepTypedefType(core, control);
   case 'FunctionDecl':
     return stepFunctionDecl(core, control);
   case 'TypedefDecl':
     return stepTypedefDecl(core, control);
   case 'RecordDecl':
     return stepRecordDecl(core, control);
+  case 'EnumDecl':
+    return stepEnumDecl(core, control);
+  case 'EnumConstantDecl':
+    return stepEnumConstantDecl(core, control);
   case 'CXXRecordDecl':
     return stepCXXRecordDecl(core, control);
   case 'CXXMethodDecl':
@@ -1039,7 +1513,10 @@ export const step = function (core) {
     throw {name: 'stuck'};
   }
   if ('error' in step) {
-    throw {name: 'error', details: step.error};
+    /* An error step may identify the error with a kind and extra data,
+       as in runtimeError. */
+    const {error, ...data} = step;
+    throw {name: 'error', details: error, ...data};
   }
   const effects = step.effects || [];
   /* Shorthand for 'control' effect. */
@@ -1,32 +1,42 @@
 
-export const Type = function (kind, size) {
+/* Every type belongs to a target (see makeTarget below), which is the
+   target of the builtin types it is built from.
+   The alignment of a type is a power of two, objects of the type are placed
+   at addresses that are a multiple of it. */
+export const Type = function (kind, size, target, align) {
   this.kind = kind;
   this.size = size;
+  this.target = target;
+  this.align = align || 1;
 }
 
 export const functionType = function (resultType, paramDecls) {
-  const type = new Type('function', 0);
+  const type = new Type('function', 0, resultType.target);
   type.result = resultType;
   type.params = paramDecls;  // [{name,type}]
   return type;
 };
 
 function getPointerSize (pointeeType) {
+  const target = pointeeType.target || defaultTarget;
   if (pointeeType.kind === 'function') {
-    return 2;
+    return target.functionPointerSize;
   }
-  return 4;
+  return target.pointerSize;
 }
 
 export const pointerType = function (pointeeType) {
   const pointerSize = getPointerSize(pointeeType);
-  const type = new Type('pointer', pointerSize);
+  const type = new Type('pointer', pointerSize, pointeeType.target, pointerSize);
   type.pointee = pointeeType;
   return type;
 };
 
 export const arrayType = function (elemType, elemCount) {
-  const type = new Type('array', elemCount && elemType.size * elemCount.toInteger());
+  // The size of a record includes its trailing padding, so the elements of
+  // an array of records are all aligned.
+  const type = new Type('array', elemCount && elemType.size * elemCount.toInteger(),
+    elemType.target, elemType.align);
   type.elem = elemType;
   type.count = elemCount;
   type.composite = true;
@@ -35,7 +45,7 @@ export const arrayType = function (elemType, elemCount) {
 
 export const decayedType = function (origType) {
   const pointerSize = getPointerSize(origType);
-  const type = new Type('pointer', pointerSize);
+  const type = new Type('pointer', pointerSize, origType.target, pointerSize);
   type.orig = origType;
   if (origType.kind === 'array') {
     // Decayed array type.
@@ -47,70 +57,359 @@ export const decayedType = function (origType) {
   return type;
 };
 
-export const recordType = function (name, fields) {
-  const {size, fieldMap} = layoutRecord(fields);
-  const type = new Type('record', size);
+/* Structs and unions are both records, the fields of a union (isUnion)
+   all start at offset 0 and share the same bytes. */
+export const recordType = function (name, fields, target, isUnion) {
+  const {size, align, fieldMap, padding} = isUnion ? layoutUnion(fields) : layoutRecord(fields);
+  const type = new Type('record', size, target, align);
   type.name = name;
-  type.fields = fields.map(field => field.name);
+  if (isUnion) {
+    type.union = true;
+  }
+  // Unnamed bit-fields only take up space.
+  type.fields = fields.filter(field => field.name).map(field => field.name);
   type.fieldMap = fieldMap;
+  type.padding = padding;
   type.composite = true;
   return type;
 };
 
-export const forwardRecordType = function (name) {
-  const type = new Type('record', 0);
+export const forwardRecordType = function (name, target) {
+  const type = new Type('record', 0, target);
   type.name = name;
   type.forward = true;
   return type;
 };
 
-export const builtinTypes = {};
-const addBuiltinType = function (repr, size) {
-  const type = new Type('builtin', size);
-  type.repr = repr;
-  builtinTypes[repr] = type;
-};
-addBuiltinType('void', 0);
-addBuiltinType('char', 1);
-addBuiltinType('unsigned char', 1);
-addBuiltinType('short', 2);
-addBuiltinType('unsigned short', 2);
-addBuiltinType('int', 4);
-addBuiltinType('unsigned int', 4);
-addBuiltinType('long', 4);
-addBuiltinType('unsigned long', 4);
-addBuiltinType('long long', 8);
-addBuiltinType('unsigned long long', 8);
-addBuiltinType('float', 4);
-addBuiltinType('double', 8);
+/* A typedef name stands for its type: it inherits all the properties of the
+   type (including those that a forward record type gets once the record is
+   declared), and adds the typedef's name as typedefName so that values can
+   be shown with the type name used in the program. */
+export const typedefType = function (name, type) {
+  const typedef = Object.create(type);
+  typedef.typedefName = name;
+  return typedef;
+};
+
+/* An enumerated type is represented as its compatible integer type (int,
+   or unsigned int if none of its values is negative, as in gcc and clang),
+   and lists its enumerators as {name, value}. */
+export const enumType = function (name, enumerators, target) {
+  const negative = enumerators.some(enumerator => enumerator.value < 0);
+  const baseType = (target || defaultTarget).builtinTypes[negative ? 'int' : 'unsigned int'];
+  const type = new Type('builtin', baseType.size, baseType.target, baseType.align);
+  type.repr = baseType.repr;
+  type.name = name;
+  type.enumerators = enumerators;
+  return type;
+};
+
+/* A target describes the byte order and data model of the machine being
+   evaluated, and holds the builtin types for that data model. */
+const makeTarget = function (name, littleEndian, longSize, pointerSize, functionPointerSize) {
+  const target = {name, littleEndian, pointerSize, functionPointerSize};
+  const builtinTypes = target.builtinTypes = {};
+  const addBuiltinType = function (repr, size) {
+    const type = new Type('builtin', size, target, size);
+    type.repr = repr;
+    builtinTypes[repr] = type;
+  };
+  addBuiltinType('void', 0);
+  addBuiltinType('char', 1);
+  addBuiltinType('unsigned char', 1);
+  addBuiltinType('short', 2);
+  addBuiltinType('unsigned short', 2);
+  addBuiltinType('int', 4);
+  addBuiltinType('unsigned int', 4);
+  addBuiltinType('long', longSize);
+  addBuiltinType('unsigned long', longSize);
+  addBuiltinType('long long', 8);
+  addBuiltinType('unsigned long long', 8);
+  addBuiltinType('float', 4);
+  addBuiltinType('double', 8);
+  return target;
+};
+
+export const targets = {
+  ilp32be: makeTarget('ilp32be', false, 4, 4, 2),
+  ilp32le: makeTarget('ilp32le', true, 4, 4, 4),
+  lp64le: makeTarget('lp64le', true, 8, 8, 8)
+};
+
+const defaultTarget = targets.ilp32be;
+
+/* The builtin types of the default target. */
+export const builtinTypes = defaultTarget.builtinTypes;
+
+/* Returns the target with the given name (or the default target). */
+export const getTarget = function (name) {
+  if (name === undefined) {
+    return defaultTarget;
+  }
+  if (!(name in targets)) {
+    throw new Error(`unknown target ${name}`);
+  }
+  return targets[name];
+};
+
+const integerRanks = {
+  'char': 1, 'unsigned char': 1,
+  'short': 2, 'unsigned short': 2,
+  'int': 3, 'unsigned int': 3,
+  'long': 4, 'unsigned long': 4,
+  'long long': 5, 'unsigned long long': 5
+};
+
+export const isIntegralType = function (type) {
+  return type.kind === 'builtin' && type.repr in integerRanks;
+};
 
+export const isFloatingType = function (type) {
+  return type.kind === 'builtin' && /^(float|double)$/.test(type.repr);
+};
+
+export const isArithmeticType = function (type) {
+  return isIntegralType(type) || isFloatingType(type);
+};
+
+const targetTypes = function (type) {
+  return (type.target || defaultTarget).builtinTypes;
+};
+
+/* Integer promotion (C99 6.3.1.1): integral types of a rank lower than int
+   are promoted to int, which can represent all their values. */
+export const promoteType = function (type) {
+  if (type.enumerators) {
+    // An enumerated type promotes to its compatible integer type.
+    return targetTypes(type)[type.repr];
+  }
+  if (isIntegralType(type) && integerRanks[type.repr] < integerRanks['int']) {
+    return targetTypes(type)['int'];
+  }
+  return type;
+};
+
+/* Usual arithmetic conversions (C99 6.3.1.8): returns the common type of
+   the operands of an arithmetic operator. */
 export const lubType = function (t1, t2) {
-  // This function should compute least-upper-bound of (t1, t2), but it is
-  // probably actually always used with t1 == t2.
-  return t1;
+  if (!isArithmeticType(t1) || !isArithmeticType(t2)) {
+    return t1;
+  }
+  const types = targetTypes(t1);
+  if (t1.repr === 'double' || t2.repr === 'double') {
+    return types['double'];
+  }
+  if (t1.repr === 'float' || t2.repr === 'float') {
+    return types['float'];
+  }
+  t1 = promoteType(t1);
+  t2 = promoteType(t2);
+  if (t1.repr === t2.repr) {
+    return t1;
+  }
+  const unsigned1 = /^unsigned /.test(t1.repr), unsigned2 = /^unsigned /.test(t2.repr);
+  if (unsigned1 === unsigned2) {
+    return integerRanks[t1.repr] >= integerRanks[t2.repr] ? t1 : t2;
+  }
+  const [unsignedType, signedType] = unsigned1 ? [t1, t2] : [t2, t1];
+  if (integerRanks[unsignedType.repr] >= integerRanks[signedType.repr]) {
+    return unsignedType;
+  }
+  if (signedType.size > unsignedType.size) {
+    // The signed type can represent all values of the unsigned type.
+    return signedType;
+  }
+  return types[`unsigned ${signedType.repr}`];
+};
+
+/* Returns the type of the result of a binary operator on operands of types
+   t1 and t2. */
+export const binaryOperationType = function (opcode, t1, t2) {
+  const types = targetTypes(t1);
+  if (/^(EQ|NE|LT|LE|GT|GE|LAnd|LOr)$/.test(opcode)) {
+    return types['int'];
+  }
+  if (opcode === 'Comma') {
+    return t2;
+  }
+  if (/^(Shl|Shr)(Assign)?$/.test(opcode)) {
+    return promoteType(t1);
+  }
+  if (t1.kind === 'pointer' && t2.kind === 'pointer') {
+    // ptrdiff_t
+    return t1.size > types['int'].size ? types['long'] : types['int'];
+  }
+  if (t1.kind === 'pointer') {
+    return t1;
+  }
+  if (t2.kind === 'pointer') {
+    return t2;
+  }
+  return lubType(t1, t2);
 };
 
+export const alignAddress = function (address, align) {
+  return Math.ceil(address / align) * align;
+};
+
+/* Each field is placed at the first offset aligned for its type, and the
+   record's size is rounded up to its alignment (the largest alignment of
+   its fields).  The gaps are listed in padding as {offset, size}.
+
+   Bit-fields (fields with a bitWidth) are allocated as in gcc: a bit-field
+   takes the next bits unless they would straddle a boundary of the storage
+   units of its type, in which case it starts a new unit.  A zero-width
+   bit-field ends the current unit.  Unnamed bit-fields do not affect the
+   alignment of the record.  The field map gives the offset of the unit and
+   the bitField {offset, width} of the field in the unit (see
+   unpackBitField in value.js). */
 function layoutRecord (fields) {
-  let size = 0;
+  let size = 0, align = 1;
+  let bits = 0;  // bits allocated so far
   const fieldMap = {};
+  const padding = [];
+  const addPadding = function (offset) {
+    if (offset > size) {
+      padding.push({offset: size, size: offset - size});
+      size = offset;
+    }
+  };
   fields.forEach(function (field) {
-    const {name, type} = field;
-    fieldMap[name] = {offset: size, type};
-    size += type.size;
+    const {name, type, bitWidth} = field;
+    if (bitWidth === undefined) {
+      const offset = alignAddress(Math.ceil(bits / 8), type.align);
+      addPadding(offset);
+      fieldMap[name] = {offset, type};
+      size = offset + type.size;
+      bits = size * 8;
+      align = Math.max(align, type.align);
+      return;
+    }
+    const unitBits = type.size * 8;
+    if (bitWidth === 0) {
+      bits = alignAddress(bits, type.align * 8);
+      return;
+    }
+    if (Math.floor(bits / unitBits) !== Math.floor((bits + bitWidth - 1) / unitBits)) {
+      bits = alignAddress(bits, type.align * 8);
+    }
+    if (name) {
+      const offset = Math.floor(bits / unitBits) * type.size;
+      addPadding(bits >> 3);
+      fieldMap[name] = {offset, type, bitField: {offset: bits - offset * 8, width: bitWidth}};
+      size = Math.ceil((bits + bitWidth) / 8);
+      align = Math.max(align, type.align);
+    }
+    bits += bitWidth;
+  });
+  addPadding(alignAddress(Math.max(size, Math.ceil(bits / 8)), align));
+  return {size, align, fieldMap, padding};
+}
+
+/* Every field of a union is placed at offset 0, and the union's size is
+   that of its largest field rounded up to its alignment. */
+function layoutUnion (fields) {
+  let size = 0, align = 1;
+  const fieldMap = {};
+  fields.filter(field => field.name).forEach(function (field) {
+    const {name, type, bitWidth} = field;
+    fieldMap[name] = {offset: 0, type};
+    if (bitWidth !== undefined) {
+      fieldMap[name].bitField = {offset: 0, width: bitWidth};
+    }
+    size = Math.max(size, type.size);
+    align = Math.max(align, type.align);
   });
-  return {size, fieldMap};
+  const alignedSize = alignAddress(size, align);
+  const padding = alignedSize > size ? [{offset: size, size: alignedSize - size}] : [];
+  return {size: alignedSize, align, fieldMap, padding};
 }
 
+/* Returns the padding bytes in an object of the given type, as a list of
+   {offset, size} ranges sorted by offset. */
+export const findPadding = function (type) {
+  if (type.kind === 'record' && type.union) {
+    return findUnionPadding(type);
+  }
+  if (type.kind === 'record') {
+    const ranges = type.padding.slice();
+    for (let name of type.fields) {
+      const {offset, type: fieldType} = type.fieldMap[name];
+      for (let range of findPadding(fieldType)) {
+        ranges.push({offset: offset + range.offset, size: range.size});
+      }
+    }
+    return ranges.sort((r1, r2) => r1.offset - r2.offset);
+  }
+  if (type.kind === 'array' && type.count) {
+    const elemPadding = findPadding(type.elem);
+    const ranges = [];
+    const count = type.count.toInteger();
+    for (let index = 0; index < count && elemPadding.length !== 0; index += 1) {
+      for (let range of elemPadding) {
+        ranges.push({offset: index * type.elem.size + range.offset, size: range.size});
+      }
+    }
+    return ranges;
+  }
+  return [];
+};
+
+/* A byte of a union is padding if it is padding (or past the end) in every
+   one of its fields. */
+function findUnionPadding (type) {
+  const used = new Uint8Array(type.size);
+  for (let name of type.fields) {
+    const {type: fieldType, bitField} = type.fieldMap[name];
+    if (bitField) {
+      used.fill(1, 0, (bitField.width + 7) >> 3);
+      continue;
+    }
+    let offset = 0;
+    for (let range of findPadding(fieldType).concat([{offset: fieldType.size, size: 0}])) {
+      used.fill(1, offset, range.offset);
+      offset = range.offset + range.size;
+    }
+  }
+  const ranges = [];
+  for (let offset = 0; offset < type.size; offset += 1) {
+    if (used[offset] === 0) {
+      const last = ranges[ranges.length - 1];
+      if (last && last.offset + last.size === offset) {
+        last.size += 1;
+      } else {
+        ranges.push({offset, size: 1});
+      }
+    }
+  }
+  return ranges;
+}
+
+/* Completes the forward record types (of records used before they are
+   declared) that can be reached from the fields of the declared records,
+   for example through the pointer to the next node in a linked list. */
 export function closeTypeDecls (core) {
   const {recordDecls} = core;
-  console.log('closing', recordDecls);
-  for (let recordName of recordDecls.keys()) {
-    const {fields, fieldMap} = recordDecls.get(recordName);
-    for (let fieldName of fields) {
-      const type = fieldMap[fieldName].type;
-      if (type.forward && type.kind === 'record') {
-        Object.assign(type, recordDecls.get(type.name));
+  const visited = new Set();
+  const close = function (type) {
+    if (!type || visited.has(type)) {
+      return;
+    }
+    visited.add(type);
+    if (type.kind === 'record' && type.forward && recordDecls.has(type.name)) {
+      Object.assign(type, recordDecls.get(type.name));
+    }
+    if (type.kind === 'pointer') {
+      close(type.pointee);
+    } else if (type.kind === 'array') {
+      close(type.elem);
+    } else if (type.kind === 'record' && type.fieldMap) {
+      for (let fieldName of type.fields) {
+        close(type.fieldMap[fieldName].type);
       }
     }
+  };
+  for (let type of recordDecls.values()) {
+    close(type);
   }
 }
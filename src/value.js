@@ -2,17 +2,42 @@
 // TextEncoder shim for older browsers and Safari.
 import {TextEncoder} from 'text-encoding-utf-8';
 
-import {builtinTypes, arrayType, lubType, decayedType, pointerType, functionType} from './type';
+import {
+  builtinTypes, arrayType, lubType, promoteType, binaryOperationType, decayedType,
+  pointerType} from './type';
+import {runtimeError} from './errors';
 
+/* The number is wrapped around to the size and signedness of the type.
+   64-bit values hold a BigInt, the others a Number.  The number passed in
+   can be either, non-integral numbers are truncated. */
 export function IntegralValue (type, number) {
   this.type = type;
-  if (/^unsigned/.test(this.type.repr)) {
-    this.number = number >>> 0;
+  const signed = !/^unsigned/.test(type.repr);
+  if (type.size === 8) {
+    if (typeof number !== 'bigint') {
+      number = BigInt(isFinite(number) ? Math.trunc(number) : 0);
+    }
+    this.number = signed ? BigInt.asIntN(64, number) : BigInt.asUintN(64, number);
   } else {
-    this.number = number | 0;
+    if (typeof number === 'bigint') {
+      number = Number(BigInt.asIntN(32, number));
+    }
+    const shift = 32 - type.size * 8;
+    if (signed) {
+      this.number = (number << shift) >> shift;
+    } else {
+      this.number = ((number << shift) >>> shift);
+    }
   }
 };
 IntegralValue.prototype.toString = function () {
+  const {enumerators} = this.type;
+  if (enumerators) {
+    const enumerator = enumerators.find(enumerator => enumerator.value === this.number);
+    if (enumerator) {
+      return enumerator.name;
+    }
+  }
   if (this.type.repr === 'char') {
     if (this.number >= 32 && this.number < 128) {
       switch (this.number) {
@@ -36,33 +61,34 @@ IntegralValue.prototype.toString = function () {
     return this.number.toString();
   }
 };
+/* Returns the value as a Number, which is exact for 64-bit values only if
+   they are below 2^53 in magnitude. */
 IntegralValue.prototype.toInteger = function () {
-  return this.number;
+  return Number(this.number);
 };
 IntegralValue.prototype.toBool = function () {
-  return 0 !== this.number;
+  return 0 !== Number(this.number);
 };
 IntegralValue.prototype.pack = function (view, offset, littleEndian) {
-  switch (this.type.repr) {
-    case 'char':
-      view.setInt8(offset, this.number);
-      break;
-    case 'unsigned char':
-      view.setUint8(offset, this.number);
-      break;
-    case 'short':
-      view.setInt16(offset, this.number, littleEndian);
+  const signed = !/^unsigned/.test(this.type.repr);
+  switch (this.type.size) {
+    case 1:
+      signed ? view.setInt8(offset, this.number) : view.setUint8(offset, this.number);
       break;
-    case 'unsigned short':
-      view.setUint16(offset, this.number, littleEndian);
+    case 2:
+      signed
+        ? view.setInt16(offset, this.number, littleEndian)
+        : view.setUint16(offset, this.number, littleEndian);
       break;
-    case 'int':
-    case 'long':
-      view.setInt32(offset, this.number, littleEndian);
+    case 4:
+      signed
+        ? view.setInt32(offset, this.number, littleEndian)
+        : view.setUint32(offset, this.number, littleEndian);
       break;
-    case 'unsigned int':
-    case 'unsigned long':
-      view.setUint32(offset, this.number, littleEndian);
+    case 8:
+      signed
+        ? view.setBigInt64(offset, this.number, littleEndian)
+        : view.setBigUint64(offset, this.number, littleEndian);
       break;
     default:
       throw new Error(`cannot pack integral value ${this.type.repr}`);
@@ -74,6 +100,16 @@ export function FloatingValue (type, number) {
   this.number = type.size === 4 ? Math.fround(number) : number;
 };
 FloatingValue.prototype.toString = function () {
+  // Special values are printed like printf does.
+  if (isNaN(this.number)) {
+    return 'nan';
+  }
+  if (!isFinite(this.number)) {
+    return this.number > 0 ? 'inf' : '-inf';
+  }
+  if (Object.is(this.number, -0)) {
+    return '-0';
+  }
   let str = this.number.toFixed(6);
   // Trim the trailing zeros, and the decimal point if there are no digits
   // to its right.
@@ -101,9 +137,12 @@ FloatingValue.prototype.pack = function (view, offset, littleEndian) {
   }
 };
 
-export function PointerValue (type, address) {
+/* The optional object is the object (see objects.js) the pointer was
+   derived from, it is used by the checked mode. */
+export function PointerValue (type, address, object) {
   this.type = type;
   this.address = address | 0;
+  this.object = object;
 };
 PointerValue.prototype.toString = function () {
   return `0x${this.address.toString(16)}`;
@@ -115,10 +154,10 @@ PointerValue.prototype.toBool = function () {
   return 0 !== this.address;
 };
 PointerValue.prototype.pack = function (view, offset, littleEndian) {
-  view.setUint32(offset, this.address, littleEndian);
+  packAddress(view, offset, this.type.size, this.address, littleEndian);
 };
 
-export const makeRef = function (elemType, address) {
+export const makeRef = function (elemType, address, object) {
   let refType;
   if (elemType.kind === 'array') {
     // A array reference decays to a pointer to its first element.
@@ -126,7 +165,7 @@ export const makeRef = function (elemType, address) {
   } else {
     refType = pointerType(elemType)
   }
-  return new PointerValue(refType, address);
+  return new PointerValue(refType, address, object);
 };
 
 export function ArrayValue (type, elements) {
@@ -143,22 +182,38 @@ ArrayValue.prototype.pack = function (view, offset, littleEndian) {
   });
 };
 
-export function RecordValue (type, props) {
+/* The props of a union value hold its active field when the value is
+   built by an initializer, and every field (each an interpretation of the
+   same bytes, which are kept in bytes) when the value is read from memory. */
+export function RecordValue (type, props, bytes) {
   this.type = type;
   this.props = props;
+  if (bytes) {
+    this.bytes = bytes;
+  }
 };
 RecordValue.prototype.toString = function () {
   return `record`;
 };
 RecordValue.prototype.pack = function (view, offset, littleEndian) {
-  const {type: {fields, fieldMap}, props} = this;
-  // {offset, type, refType}
+  const {type: {fields, fieldMap}, props, bytes} = this;
+  if (bytes) {
+    // A union read from memory is copied byte for byte, whatever its fields
+    // hold (a NaN float field would not preserve its bits, for example).
+    bytes.forEach(function (byte, index) {
+      view.setUint8(offset + index, byte);
+    });
+    return;
+  }
   for (let name of fields) {
     const value = props[name];
     if (value) {
-      const {offset: fieldOffset} = fieldMap[name];
-      console.log('pack field', offset + fieldOffset, value);
-      packValue(view, offset + fieldOffset, value, littleEndian);
+      const {offset: fieldOffset, bitField} = fieldMap[name];
+      if (bitField) {
+        packBitField(view, offset + fieldOffset, bitField, value, littleEndian);
+      } else {
+        packValue(view, offset + fieldOffset, value, littleEndian);
+      }
     }
   }
 };
@@ -174,14 +229,17 @@ FunctionValue.prototype.toString = function () {
   return `&${this.name}`;
 }
 FunctionValue.prototype.pack = function (view, offset, littleEndian) {
-  view.setUint16(offset, this.codePtr, littleEndian);
+  packAddress(view, offset, this.type.size, this.codePtr, littleEndian);
 };
 FunctionValue.prototype.toInteger = function () {
   return this.codePtr;
 };
+FunctionValue.prototype.toBool = function () {
+  return true;
+};
 
 export function BuiltinValue (type, codePtr, name, func) {
-  this.type = type;
+  this.type = pointerType(type);
   this.codePtr = codePtr;
   this.name = name;
   this.func = func;
@@ -190,46 +248,112 @@ BuiltinValue.prototype.toString = function () {
   return `&${this.name}`;
 }
 BuiltinValue.prototype.pack = function (view, offset, littleEndian) {
-  view.setUint16(offset, this.codePtr, littleEndian);
+  packAddress(view, offset, this.type.size, this.codePtr, littleEndian);
 };
 BuiltinValue.prototype.toInteger = function () {
   return this.codePtr;
 };
+BuiltinValue.prototype.toBool = function () {
+  return true;
+};
 
-export const badFunction = new BuiltinValue (
-  functionType(builtinTypes['void'], []), 0, "bad_func",
-  function (state, cont, values) {
-    return {error: `bad function`};
-  });
+/* A function pointer is either the function's value (a FunctionValue or
+   BuiltinValue), or a PointerValue (to a function type) holding a code
+   pointer that does not designate a function, such as null. */
+const isFunctionValue = function (value) {
+  return value instanceof FunctionValue || value instanceof BuiltinValue;
+};
 
 export const packValue = function (view, offset, value, littleEndian) {
   value.pack(view, offset, littleEndian);
 };
 
+/* Addresses (and function code pointers) are unsigned, their size is that
+   of the pointer type for the target. */
+const packAddress = function (view, offset, size, address, littleEndian) {
+  switch (size) {
+    case 2: view.setUint16(offset, address, littleEndian); break;
+    case 4: view.setUint32(offset, address, littleEndian); break;
+    case 8: view.setBigUint64(offset, BigInt(address), littleEndian); break;
+    default: throw new Error(`cannot pack address of size ${size}`);
+  }
+};
+
+const unpackAddress = function (view, offset, size, littleEndian) {
+  switch (size) {
+    case 2: return view.getUint16(offset, littleEndian);
+    case 4: return view.getUint32(offset, littleEndian);
+    case 8: return Number(view.getBigUint64(offset, littleEndian));
+    default: throw new Error(`cannot unpack address of size ${size}`);
+  }
+};
+
+const unpackInteger = function (view, offset, type, littleEndian) {
+  const signed = !/^unsigned/.test(type.repr);
+  switch (type.size) {
+    case 1:
+      return signed ? view.getInt8(offset) : view.getUint8(offset);
+    case 2:
+      return signed ? view.getInt16(offset, littleEndian) : view.getUint16(offset, littleEndian);
+    case 4:
+      return signed ? view.getInt32(offset, littleEndian) : view.getUint32(offset, littleEndian);
+    case 8:
+      return signed
+        ? view.getBigInt64(offset, littleEndian)
+        : view.getBigUint64(offset, littleEndian);
+    default:
+      throw new Error(`unpack builtin ${type.repr}`);
+  }
+};
+
+/* A bit-field {offset, width} holds width bits of the storage unit of its
+   type, starting offset bits into the unit in allocation order.  As in gcc,
+   bits are allocated from the least significant bit of the unit on a
+   little-endian target and from the most significant bit on a big-endian
+   target, so that bit i in allocation order is in byte i >> 3 of the unit
+   either way.  Only the bits of the field are read or written. */
+const bitFieldMask = function (index, littleEndian) {
+  return 1 << (littleEndian ? index & 7 : 7 - (index & 7));
+};
+
+/* Returns the allocation index of bit i (from the least significant) of
+   the value of a bit-field. */
+const bitFieldIndex = function (bitField, i, littleEndian) {
+  return bitField.offset + (littleEndian ? i : bitField.width - 1 - i);
+};
+
+export const unpackBitField = function (view, offset, type, bitField, littleEndian) {
+  let bits = BigInt(0);
+  for (let i = bitField.width - 1; i >= 0; i -= 1) {
+    const index = bitFieldIndex(bitField, i, littleEndian);
+    const bit = view.getUint8(offset + (index >> 3)) & bitFieldMask(index, littleEndian);
+    bits = (bits << BigInt(1)) | BigInt(bit ? 1 : 0);
+  }
+  return new IntegralValue(type, isSignedType(type) ? BigInt.asIntN(bitField.width, bits) : bits);
+};
+
+/* The value is truncated to the width of the bit-field. */
+export const packBitField = function (view, offset, bitField, value, littleEndian) {
+  const bits = BigInt.asUintN(bitField.width, BigInt(value.number));
+  for (let i = 0; i < bitField.width; i += 1) {
+    const index = bitFieldIndex(bitField, i, littleEndian);
+    const byteOffset = offset + (index >> 3);
+    const mask = bitFieldMask(index, littleEndian);
+    const byte = view.getUint8(byteOffset);
+    view.setUint8(byteOffset, (bits >> BigInt(i)) & BigInt(1) ? byte | mask : byte & ~mask);
+  }
+};
+
 export const unpackValue = function (view, offset, type, littleEndian, core) {
   switch (type.kind) {
     case 'builtin':
       switch (type.repr) {
-        case 'char':
-          return new IntegralValue(type, view.getInt8(offset));
-        case 'unsigned char':
-          return new IntegralValue(type, view.getUint8(offset));
-        case 'short':
-          return new IntegralValue(type, view.getInt16(offset, littleEndian));
-        case 'unsigned short':
-          return new IntegralValue(type, view.getUint16(offset, littleEndian));
-        case 'int':
-        case 'long':
-          return new IntegralValue(type, view.getInt32(offset, littleEndian));
-        case 'unsigned int':
-        case 'unsigned long':
-          return new IntegralValue(type, view.getUint32(offset, littleEndian));
         case 'float':
           return new FloatingValue(type, view.getFloat32(offset, littleEndian));
         case 'double':
           return new FloatingValue(type, view.getFloat64(offset, littleEndian));
         default:
-          throw new Error(`unpack builtin ${type.repr}`);
+          return new IntegralValue(type, unpackInteger(view, offset, type, littleEndian));
       }
     case 'array':
       {
@@ -245,17 +369,23 @@ export const unpackValue = function (view, offset, type, littleEndian, core) {
       {
         const props = {};
         for (let name of type.fields) {
-          const {offset: fieldOffset, type: fieldType} = type.fieldMap[name];
-          props[name] = unpackValue(view, offset + fieldOffset, fieldType, littleEndian, core);
+          const {offset: fieldOffset, type: fieldType, bitField} = type.fieldMap[name];
+          props[name] = bitField
+            ? unpackBitField(view, offset + fieldOffset, fieldType, bitField, littleEndian)
+            : unpackValue(view, offset + fieldOffset, fieldType, littleEndian, core);
+        }
+        if (type.union) {
+          const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, type.size).slice();
+          return new RecordValue(type, props, bytes);
         }
         return new RecordValue(type, props);
       }
     case 'pointer': {
       if (type.pointee.kind === 'function') {
-        const codePtr = view.getUint16(offset, littleEndian);
-        return core.functions[codePtr] || badFunction;
+        const codePtr = unpackAddress(view, offset, type.size, littleEndian);
+        return core.functions[codePtr] || new PointerValue(type, codePtr);
       } else {
-        const address = view.getUint32(offset, littleEndian);
+        const address = unpackAddress(view, offset, type.size, littleEndian);
         return new PointerValue(type, address);
       }
     }
@@ -264,17 +394,18 @@ export const unpackValue = function (view, offset, type, littleEndian, core) {
   }
 };
 
-export const stringValue = function (string) {
+export const stringValue = function (string, target) {
   const encoder = new TextEncoder('utf-8');
   const bytesArray = encoder.encode(string);
-  const charType = builtinTypes['char'];
+  const types = target ? target.builtinTypes : builtinTypes;
+  const charType = types['char'];
   const charLen = bytesArray.length;
   const chars = [];
   for (let charPos = 0; charPos < charLen; charPos++) {
     chars.push(new IntegralValue(charType, bytesArray[charPos]));
   }
   chars.push(new IntegralValue(charType, 0));
-  const lenValue = new IntegralValue(builtinTypes['int'], chars.length);
+  const lenValue = new IntegralValue(types['int'], chars.length);
   return new ArrayValue(arrayType(charType, lenValue), chars);
 };
 
@@ -293,21 +424,36 @@ const evalRelationalOperation = function (op, v1, v2) {
   }
 };
 
+/* v1 and v2 are both Numbers or both BigInts.  Without the undefined
+   behaviour checks, division and remainder by zero give zero, and shift
+   counts are taken modulo the width (as JavaScript does for Numbers). */
 const evalIntegerBinaryOperation = function (op, v1, v2) {
+  const isBig = typeof v1 === 'bigint';
   switch (op) {
     case 'Add': case 'AddAssign': return v1 + v2;
     case 'Sub': case 'SubAssign': return v1 - v2;
-    case 'Mul': case 'MulAssign': return v1 * v2;
-    case 'Div': case 'DivAssign': return v1 / v2;
-    case 'Rem': case 'RemAssign': return v1 % v2;
+    case 'Mul': case 'MulAssign': return isBig ? v1 * v2 : Math.imul(v1, v2);
+    case 'Div': case 'DivAssign':
+      if (isBig) {
+        return v2 === BigInt(0) ? v2 : v1 / v2;
+      }
+      return v2 === 0 ? 0 : Math.trunc(v1 / v2);
+    case 'Rem': case 'RemAssign':
+      if (isBig) {
+        return v2 === BigInt(0) ? v2 : v1 % v2;
+      }
+      return v2 === 0 ? 0 : v1 % v2;
     case 'And': case 'AndAssign': return v1 & v2;
     case 'Or':  case 'OrAssign':  return v1 | v2;
     case 'Xor': case 'XorAssign': return v1 ^ v2;
-    case 'Shl': case 'ShlAssign': return v1 << v2;
-    case 'Shr': case 'ShrAssign': return v1 >> v2;
+    case 'Shl': case 'ShlAssign': return isBig ? v1 << (v2 & BigInt(63)) : v1 << v2;
+    case 'Shr': case 'ShrAssign': return isBig ? v1 >> (v2 & BigInt(63)) : v1 >> v2;
   }
 };
 
+/* IEEE 754 semantics (division by zero gives an infinity or NaN).  The
+   result is rounded to float32 by the FloatingValue constructor when the
+   operation is done in float. */
 const evalFloatingBinaryOperation = function (op, v1, v2) {
   switch (op) {
     case 'Add': case 'AddAssign': return v1 + v2;
@@ -315,59 +461,196 @@ const evalFloatingBinaryOperation = function (op, v1, v2) {
     case 'Mul': case 'MulAssign': return v1 * v2;
     case 'Div': case 'DivAssign': return v1 / v2;
   }
+  throw new Error(`not implemented: floating ${op}`);
 };
 
-export const evalBinaryOperation = function (opcode, lhs, rhs) {
+/*
+
+Undefined behaviour checks.  When the checkUB argument of evalBinaryOperation,
+evalUnaryOperation and evalCast is true (core.ubChecks), the operations whose
+behaviour is undefined in C throw a runtime error instead of giving the
+result of the usual wrap-around:
+  - 'signed overflow' when the result of a signed operation (of int rank or
+    above) does not fit its type, including INT_MIN / -1 and the left shift
+    of a negative value;
+  - 'division by zero' for Div and Rem;
+  - 'invalid shift' for shifts by a negative amount or by at least the width
+    of the (promoted) left operand;
+  - 'float conversion' when a floating value converted to an integral type
+    is not in the range of that type.
+
+*/
+
+const operatorSymbols = {
+  Add: '+', Sub: '-', Mul: '*', Div: '/', Rem: '%', Shl: '<<', Shr: '>>', Minus: '-'
+};
+
+const isSignedType = function (type) {
+  return !/^unsigned/.test(type.repr);
+};
+
+/* Returns the [min, max] range of an integral type, as BigInts. */
+const integerRange = function (type) {
+  const bits = BigInt(type.size * 8);
+  const one = BigInt(1);
+  if (!isSignedType(type)) {
+    return [BigInt(0), (one << bits) - one];
+  }
+  const half = one << (bits - one);
+  return [-half, half - one];
+};
+
+const checkSignedResult = function (type, exact, describe) {
+  // Operands of types smaller than int are promoted, they cannot overflow.
+  if (!isSignedType(type) || type.size < 4) {
+    return;
+  }
+  const [min, max] = integerRange(type);
+  if (exact < min || exact > max) {
+    throw runtimeError('signed overflow', `signed overflow: ${describe()} in ${type.repr}`,
+      {type: type.repr});
+  }
+};
+
+const checkIntegerOperation = function (opcode, type, lhs, rhs) {
+  const op = opcode.replace(/Assign$/, '');
+  const v1 = BigInt(lhs.number), v2 = BigInt(rhs.number);
+  const zero = BigInt(0);
+  const describe = () => `${lhs} ${operatorSymbols[op]} ${rhs}`;
+  if ((op === 'Div' || op === 'Rem') && v2 === zero) {
+    throw runtimeError('division by zero', `division by zero: ${describe()}`, {operator: op});
+  }
+  if (op === 'Shl' || op === 'Shr') {
+    const width = Math.max(lhs.type.size, 4) * 8;
+    if (v2 < zero || v2 >= BigInt(width)) {
+      throw runtimeError('invalid shift', `invalid shift: ${describe()} (width ${width})`,
+        {operator: op, count: Number(v2), width});
+    }
+    if (op === 'Shl' && isSignedType(type) && v1 < zero) {
+      throw runtimeError('signed overflow', `signed overflow: left shift of negative ${lhs}`,
+        {type: type.repr});
+    }
+  }
+  switch (op) {
+    case 'Add': return checkSignedResult(type, v1 + v2, describe);
+    case 'Sub': return checkSignedResult(type, v1 - v2, describe);
+    case 'Mul': return checkSignedResult(type, v1 * v2, describe);
+    // The remainder is undefined when the quotient does not fit.
+    case 'Div': case 'Rem': return checkSignedResult(type, v1 / v2, describe);
+    case 'Shl': return checkSignedResult(type, v1 << v2, describe);
+  }
+};
+
+const checkFloatConversion = function (type, operand) {
+  const [min, max] = integerRange(type);
+  const truncated = Math.trunc(operand.number);
+  if (!isFinite(truncated) || BigInt(truncated) < min || BigInt(truncated) > max) {
+    throw runtimeError('float conversion',
+      `float conversion: ${operand} is out of the range of ${type.repr}`, {type: type.repr});
+  }
+};
+
+const isShift = function (op) {
+  return /^(Shl|Shr)(Assign)?$/.test(op);
+};
+
+const isArithmeticValue = function (value) {
+  return value instanceof IntegralValue || value instanceof FloatingValue;
+};
+
+/* Returns the numbers of two integral values of the same type, as BigInts
+   for 64-bit values. */
+const integerOperands = function (lhs, rhs) {
+  if (lhs.type.size === 8) {
+    return [lhs.number, BigInt(rhs.number)];
+  }
+  return [lhs.number, Number(rhs.number)];
+};
+
+export const evalBinaryOperation = function (opcode, lhs, rhs, checkUB) {
   // Relational operators
   if (isRelational(opcode)) {
-    const result =
-      lhs instanceof PointerValue
-        ? evalRelationalOperation(opcode, lhs.address, rhs.address)
-        : evalRelationalOperation(opcode, lhs.number, rhs.number);
-    return new IntegralValue(builtinTypes['int'], result ? 1 : 0);
-  }
-  // Integer arithmetic
-  if (lhs instanceof IntegralValue && rhs instanceof IntegralValue) {
-    const result = evalIntegerBinaryOperation(opcode, lhs.number, rhs.number);
-    return new IntegralValue(lubType(lhs.type, rhs.type), result);
-  }
-  // Float arithmetic
-  if (lhs instanceof FloatingValue && rhs instanceof FloatingValue) {
-    const result = evalFloatingBinaryOperation(opcode, lhs.number, rhs.number)
-    return new FloatingValue(lubType(lhs.type, rhs.type), result);
+    let result;
+    if (lhs instanceof PointerValue || isFunctionValue(lhs) ||
+        rhs instanceof PointerValue || isFunctionValue(rhs)) {
+      // Pointers (including function pointers) compare by address.
+      result = evalRelationalOperation(opcode, lhs.toInteger(), rhs.toInteger());
+    } else {
+      // Compare the operands converted to their common type.
+      const type = lubType(lhs.type, rhs.type);
+      const v1 = evalCast(type, lhs).number, v2 = evalCast(type, rhs).number;
+      result = evalRelationalOperation(opcode, v1, v2);
+    }
+    return new IntegralValue(binaryOperationType(opcode, lhs.type, rhs.type), result ? 1 : 0);
+  }
+  // Arithmetic on the operands converted to the type of the result, except
+  // for the right operand of shifts which is only promoted.
+  if (isArithmeticValue(lhs) && isArithmeticValue(rhs)) {
+    // The operands of % must have integer type (C has fmod for floats).
+    if (/^Rem/.test(opcode) && (lhs instanceof FloatingValue || rhs instanceof FloatingValue)) {
+      throw runtimeError('invalid operands',
+        `invalid operands to %: ${lhs.type.repr} and ${rhs.type.repr}`, {operator: '%'});
+    }
+    const type = binaryOperationType(opcode, lhs.type, rhs.type);
+    lhs = evalCast(type, lhs);
+    rhs = isShift(opcode) ? evalCast(promoteType(rhs.type), rhs) : evalCast(type, rhs);
+    if (lhs instanceof FloatingValue) {
+      const result = evalFloatingBinaryOperation(opcode, lhs.number, rhs.number);
+      return new FloatingValue(type, result);
+    }
+    if (checkUB) {
+      checkIntegerOperation(opcode, type, lhs, rhs);
+    }
+    const [v1, v2] = integerOperands(lhs, rhs);
+    if (/^Shr/.test(opcode) && typeof v1 === 'number' && /^unsigned/.test(type.repr)) {
+      // Logical shift for unsigned (32-bit) values.
+      return new IntegralValue(type, v1 >>> v2);
+    }
+    const result = evalIntegerBinaryOperation(opcode, v1, v2);
+    return new IntegralValue(type, result);
   }
   // Pointer arithmetic
   if (lhs instanceof PointerValue && rhs instanceof IntegralValue) {
     if (opcode === 'Add') {
-      const address = lhs.address + rhs.number * lhs.type.pointee.size;
-      return new PointerValue(lhs.type, address);
+      const address = lhs.address + rhs.toInteger() * lhs.type.pointee.size;
+      return new PointerValue(lhs.type, address, lhs.object);
     }
     if (opcode === 'Sub') {
-      const address = lhs.address - rhs.number * lhs.type.pointee.size;
-      return new PointerValue(lhs.type, address);
+      const address = lhs.address - rhs.toInteger() * lhs.type.pointee.size;
+      return new PointerValue(lhs.type, address, lhs.object);
     }
   }
   if (lhs instanceof IntegralValue && rhs instanceof PointerValue) {
     if (opcode === 'Add') {
-      const address = rhs.address + lhs.number * rhs.type.pointee.size;
-      return new PointerValue(rhs.type, address);
+      const address = rhs.address + lhs.toInteger() * rhs.type.pointee.size;
+      return new PointerValue(rhs.type, address, rhs.object);
     }
   }
   if (lhs instanceof PointerValue && rhs instanceof PointerValue) {
     if (opcode === 'Sub') {
-      const offset = lhs.address - rhs.address;
-      return new IntegralValue(builtinTypes['int'], offset);
+      // The difference is a number of elements.
+      const offset = (lhs.address - rhs.address) / lhs.type.pointee.size;
+      return new IntegralValue(binaryOperationType(opcode, lhs.type, rhs.type), offset);
     }
   }
   throw new Error(`not implemented: ${lhs} ${opcode} ${rhs}`);
 };
 
-export const evalUnaryOperation = function (opcode, operand) {
+export const evalUnaryOperation = function (opcode, operand, checkUB) {
+  if (opcode === 'LNot') {
+    const intType = (operand.type.target ? operand.type.target.builtinTypes : builtinTypes)['int'];
+    return new IntegralValue(intType, operand.toBool() ? 0 : 1);
+  }
   if (operand instanceof IntegralValue) {
+    // The operand is promoted.
+    operand = evalCast(promoteType(operand.type), operand);
     switch (opcode) {
       case 'Plus': return operand;
-      case 'Minus': return new IntegralValue(operand.type, -operand.number);
-      case 'LNot': return new IntegralValue(builtinTypes['int'], !operand.toBool());
+      case 'Minus':
+        if (checkUB) {
+          checkSignedResult(operand.type, -BigInt(operand.number), () => `-${operand}`);
+        }
+        return new IntegralValue(operand.type, -operand.number);
       case 'Not': return new IntegralValue(operand.type, ~operand.number);
     }
   }
@@ -380,45 +663,43 @@ export const evalUnaryOperation = function (opcode, operand) {
   throw new Error(`not implemented: ${opcode} ${operand}`);
 };
 
-export const evalCast = function (type, operand) {
+export const evalCast = function (type, operand, checkUB) {
   if (operand.type === type) {
     return operand;
   }
   if (type.kind === 'builtin') {
-    if (/^(unsigned )?char$/.test(type.repr)) {
-      return new IntegralValue(type, operand.toInteger() & 0xff);
-    }
-    if (/^(unsigned )?short$/.test(type.repr)) {
-      return new IntegralValue(type, operand.toInteger() & 0xffff);
-    }
-    if (/^(unsigned )?(int|long)$/.test(type.repr)) {
-      return new IntegralValue(type, operand.toInteger() & 0xffffffff);
-    }
-    if (/^(unsigned )?long long$/.test(type.repr)) {
-      // XXX this only works up to 2^53, use npm:long
-      return new IntegralValue(type, operand.toInteger());
-    }
-    if (type.repr === 'float') {
-      if (operand instanceof FloatingValue || operand instanceof IntegralValue) {
-        return new FloatingValue(type, operand.number)
+    if (/^(unsigned )?(char|short|int|long|long long)$/.test(type.repr)) {
+      // The IntegralValue constructor wraps the number around.
+      if (checkUB && operand instanceof FloatingValue) {
+        checkFloatConversion(type, operand);
+      }
+      if (operand instanceof IntegralValue || operand instanceof FloatingValue) {
+        return new IntegralValue(type, operand.number);
       }
+      return new IntegralValue(type, operand.toInteger());
     }
-    if (type.repr === 'double') {
+    if (type.repr === 'float' || type.repr === 'double') {
       if (operand instanceof FloatingValue || operand instanceof IntegralValue) {
-        return new FloatingValue(type, operand.number);
+        return new FloatingValue(type, Number(operand.number));
       }
     }
   }
   if (type.kind === 'pointer') {
     if (operand instanceof PointerValue) {
-      return new PointerValue(type, operand.address);
+      return new PointerValue(type, operand.address, operand.object);
     }
-    if (operand instanceof IntegralValue) {
-      return new PointerValue(type, operand.toInteger())
+    if (operand instanceof IntegralValue || operand instanceof FloatingValue) {
+      // Floating values are truncated (NaN and infinities give null).
+      return new PointerValue(type, operand.toInteger());
     }
-    if (operand instanceof BuiltinValue || operand instanceof FunctionValue) {
-      // XXX temporary cheat for non-addressable values.
-      return operand;
+    if (isFunctionValue(operand)) {
+      // A function pointer converted to another function pointer type still
+      // designates the function, converted to a data pointer it is its code
+      // pointer.
+      if (type.pointee.kind === 'function') {
+        return operand;
+      }
+      return new PointerValue(type, operand.codePtr);
     }
   }
   throw new Error(`not implemented: (${type})${operand}`);